@@ -146,7 +146,41 @@
 			.catch( ( e ) => console.log( e ) );
 	} );
 
+	// Whether a restored field value has something in it (strings, lists, nested fields).
+	const hasContent = ( value ) => {
+
+		if ( typeof value === 'string' ) {
+			return '' !== value.trim();
+		}
+
+		if ( value && typeof value === 'object' ) {
+			return Object.values( value ).some( hasContent );
+		}
+
+		return false;
+	};
+
+	// Let them know their unsent message came back with them.
+	$( document ).on( 'savior:restore', 'form#contact', function( event ) {
+
+		const draft = event.originalEvent && event.originalEvent.detail && event.originalEvent.detail.draft;
+
+		if ( ! draft || ! hasContent( draft.fields ) ) {
+			return; // Nothing they typed came back (e.g. they deleted it all).
+		}
+
+		if ( $( this ).prev( '.restored-message' ).length ) {
+			return; // Already told them.
+		}
+
+		$( '<p class="italic restored-message"><span class="bold highlight">Welcome back!</span> &mdash; I restored the message you didn\'t get to send.</p>' )
+			.insertBefore( this );
+	} );
+
 	// Make sure forms save to storage so they are there when you come back!
-	$( document ).ready( () => Savior.init( { selector: 'form', saveDelayMs: 100 } ) );
+	$( document ).ready( () => Savior.init( {
+		selector: 'form',
+		maxAgeMs: 30 * 24 * 60 * 60 * 1000, // Don't bring back month-old drafts.
+	} ) );
 
 } )( jQuery );
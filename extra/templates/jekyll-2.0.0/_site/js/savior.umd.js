@@ -35,6 +35,14 @@
     writeValue(element, value) {
       throw new Error('writeValue() not implemented');
     }
+
+    /**
+     * Optional: called with a saved value when its draft is cleared, for
+     * adapters that keep data outside the draft.
+     * @param {unknown} value
+     * @returns {void|Promise<void>}
+     */
+    releaseValue(value) {}
   }
 
   // src/fields/TextFieldAdapter.js
@@ -280,433 +288,4658 @@
     }
   }
 
-  // src/fields/FieldAdapterRegistry.js
+  // src/fields/FileFieldAdapter.js
 
+  // <input type="file">: the draft keeps each file's metadata, and the contents
+  // go to a Blob store (IndexedDB by default), up to maxFileBytes per file.
+  // On restore, files are put back through DataTransfer where the browser
+  // supports it; otherwise a placeholder asks the visitor to re-attach them.
+  //
+  // Opt-in, through Savior.registerAdapter() or the adapters option. File
+  // contents are stored as-is: EncryptedDriver only covers the draft, so don't
+  // enable this on forms whose attachments are sensitive. Stored files are
+  // deleted when their form's draft is cleared, and pruned after maxAgeMs.
 
-  const defaultAdapters = [
-    new TextFieldAdapter(),
-    new CheckboxFieldAdapter(),
-    new RadioFieldAdapter(),
-    new SelectFieldAdapter(),
-    new ValueFieldAdapter()
-  ];
+  const FILE_PLACEHOLDER_CLASS = 'savior-file-placeholder';
+
+  let filePlaceholderIdCounter = 0;
 
   /**
-   * Returns the first adapter that can handle the given field element.
-   *
-   * @param {HTMLElement} element
-   * @param {FieldAdapter[]} [adapters]
-   * @returns {FieldAdapter|null}
+   * @param {number} bytes
+   * @returns {string} e.g. "1.2 MB"
    */
-  function getFieldAdapterForElement(element, adapters = defaultAdapters) {
-    for (const adapter of adapters) {
-      try {
-        if (adapter.canHandle(element)) {
-          return adapter;
-        }
-      } catch (error) {
-        // Safety net: one bad adapter should not break everything
-        // You could log this in a debug mode.
-        continue;
-      }
-    }
-
-    return null;
+  function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
   }
 
-  // src/core/savior-core.js
+  /**
+   * Whether input.files can be assigned from a DataTransfer (not in older Safari).
+   * @returns {boolean}
+   */
+  function canAssignFiles() {
+    try {
+      return typeof DataTransfer === 'function' && !!new DataTransfer().files;
+    } catch {
+      return false;
+    }
+  }
 
+  class FileFieldAdapter extends FieldAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxFileBytes=5242880] Larger files only keep their metadata.
+     * @param {number} [options.maxAgeMs=2592000000] Stored files older than this are pruned (30 days).
+     * @param {Object} [options.store] Driver-like Blob store (save/load/clear, optional listFormIds).
+     *   Default: an IndexedDBDriver on the "savior-files" database.
+     * @param {string} [options.placeholderText='Please re-attach {files}.'] "{files}" lists names and sizes.
+     */
+    constructor(options = {}) {
+      super();
+      this.maxFileBytes = options.maxFileBytes ?? 5 * 1024 * 1024;
+      this.maxAgeMs = options.maxAgeMs ?? 30 * 24 * 60 * 60 * 1000;
+      this.store = options.store ?? null;
+      this.placeholderText = options.placeholderText || 'Please re-attach {files}.';
+
+      // Files this page already wrote to the store.
+      this.storedIds = new Set();
+      // Restored metadata not attached to the input (yet); still saved meanwhile.
+      this.pendingFiles = new WeakMap();
+      this.placeholders = new WeakMap();
+      this.hasPruned = false;
+    }
 
-  // Core autosave logic for Savior.
-  //
-  // Depends on a driver exposing:
-  //   - save(formId, draft)
-  //   - load(formId)
-  //   - clear(formId)
-  //
-  // draft schema:
-  // {
-  //   formId: string,
-  //   timestampUtc: string, // ISO 8601
-  //   fields: {
-  //     [fieldName: string]: unknown
-  //   }
-  // }
+    canHandle(element) {
+      return element instanceof HTMLInputElement && element.type === 'file';
+    }
 
-  class SaviorCore {
     /**
-     * @param {Object} options
-     * @param {string} [options.selector='form[data-savior]'] CSS selector used to find forms.
-     * @param {Object} options.driver Storage driver (must implement save/load/clear).
-     * @param {number} [options.saveDelayMs=400] Debounce delay in ms for autosave.
-     * @param {boolean} [options.debug=false] Enable debug logs in console.
+     * Created on first use: the adapter is instantiated before the drivers are defined.
+     * @returns {Object}
      */
-    constructor(options) {
-      this.formSelector = options.selector || 'form[data-savior]';
-      this.driver = options.driver;
-      this.saveDelayMs = options.saveDelayMs ?? 400;
-      this.debug = options.debug ?? false;
+    getStore() {
+      if (!this.store) {
+        this.store = new IndexedDBDriver({
+          databaseName: 'savior-files',
+          storeName: 'files',
+          storageKeyPrefix: 'savior_file_'
+        });
+      }
+      return this.store;
     }
 
-    logDebug(...args) {
-      if (!this.debug) return;
-      console.log('[Savior]', ...args);
+    /**
+     * @param {File} file
+     * @returns {string}
+     */
+    getFileId(file) {
+      return `${file.name}|${file.size}|${file.lastModified}`;
     }
 
-    logWarn(...args) {
-      if (!this.debug) return;
-      warn(...args);
+    /**
+     * Metadata of the selected files; their contents are stored in the background.
+     * @param {HTMLInputElement} element
+     * @returns {Array<{id: string, name: string, size: number, type: string, lastModified: number, stored: boolean}>|undefined}
+     */
+    readValue(element) {
+      this.prune();
+
+      const files = Array.from(element.files || []);
+      if (!files.length) {
+        return this.pendingFiles.get(element);
+      }
+
+      this.pendingFiles.delete(element);
+
+      return files.map((file) => {
+        const id = this.getFileId(file);
+        const stored = file.size <= this.maxFileBytes;
+        if (stored) {
+          this.storeFile(id, file);
+        }
+
+        return { id, name: file.name, size: file.size, type: file.type, lastModified: file.lastModified, stored };
+      });
     }
 
     /**
-     * Discover all target forms and attach autosave wiring.
+     * Attach the saved files back (asynchronously), unless the visitor already picked some.
+     * @param {HTMLInputElement} element
+     * @param {unknown} value
      */
-    init() {
-      const forms = document.querySelectorAll(this.formSelector);
-      this.logDebug(
-        `Initializing on selector "${this.formSelector}", found ${forms.length} form(s).`
-      );
+    writeValue(element, value) {
+      this.prune();
 
-      if (!this.driver) {
-        this.logWarn(
-          'No driver provided to SaviorCore. Initialization will be skipped.'
-        );
-        return;
-      }
+      if (!Array.isArray(value) || !value.length) return;
+      if (element.files && element.files.length) return;
+      if (this.pendingFiles.get(element) === value) return;
 
-      forms.forEach((formElement) => this.attachToForm(formElement));
+      this.pendingFiles.set(element, value);
+      this.attachFiles(element, value);
     }
 
     /**
-     * Attach autosave + restore + clear behavior to a single form.
-     * @param {HTMLFormElement} formElement
+     * @param {string} id
+     * @param {File} file
+     * @returns {Promise<void>}
      */
-    attachToForm(formElement) {
-      const formId = this.getFormId(formElement);
-      if (!formId) {
-        this.logWarn('Form without data-savior or id — skipping.', formElement);
-        return;
-      }
+    async storeFile(id, file) {
+      if (this.storedIds.has(id)) return;
+      this.storedIds.add(id);
 
-      this.logDebug(`Attaching to form "${formId}".`);
-      this.restoreForm(formElement, formId);
-      this.wireInputEvents(formElement, formId);
-      this.wireSubmitEvent(formElement, formId);
+      try {
+        await this.getStore().save(id, { timestampUtc: new Date().toISOString(), file });
+      } catch (error) {
+        // e.g. StorageQuotaError: the file is shown as a placeholder on restore.
+        this.storedIds.delete(id);
+      }
     }
 
     /**
-     * Derive a stable identifier for the form.
-     * Priority: data-savior > id > null.
-     * @param {HTMLFormElement} formElement
-     * @returns {string|null}
+     * Delete the stored contents of the files in a cleared draft.
+     * @param {unknown} value Saved metadata.
+     * @returns {Promise<void>}
      */
-    getFormId(formElement) {
-      return (
-        formElement.getAttribute('data-savior') ||
-        formElement.id ||
-        null
-      );
+    async releaseValue(value) {
+      if (!Array.isArray(value)) return;
+
+      await Promise.all(value.map(async (metadata) => {
+        if (!metadata?.stored || typeof metadata.id !== 'string') return;
+
+        this.storedIds.delete(metadata.id);
+        try {
+          await this.getStore().clear(metadata.id);
+        } catch {
+          // Left to prune().
+        }
+      }));
     }
 
     /**
-     * Restore a saved draft (if any) into all compatible fields of the form.
-     * @param {HTMLFormElement} formElement
-     * @param {string} formId
+     * Drop files older than maxAgeMs, once per page, on the adapter's first use.
+     * @returns {Promise<void>}
      */
-    restoreForm(formElement, formId) {
-      let storedDraft = null;
+    async prune() {
+      if (this.hasPruned) return;
+      this.hasPruned = true;
+
+      const store = this.getStore();
+      if (typeof store.listFormIds !== 'function') return;
+
+      const now = Date.now();
       try {
-        storedDraft = this.driver.load(formId);
-      } catch (err) {
-        this.logWarn(`Driver.load failed for form "${formId}":`, err?.message || err);
-        return; // ne pas tenter de restore
+        const ids = await store.listFormIds();
+        await Promise.all(ids.map(async (id) => {
+          const entry = await store.load(id);
+          const time = Date.parse(entry?.timestampUtc);
+          if (!Number.isFinite(time) || now - time > this.maxAgeMs) {
+            await store.clear(id);
+          }
+        }));
+      } catch {
+        // Retried on the next page.
       }
+    }
 
-      if (!storedDraft || !storedDraft.fields) {
-        this.logDebug(`No draft found for form "${formId}".`);
-        return;
+    /**
+     * @param {HTMLInputElement} element
+     * @param {Object[]} files Saved metadata.
+     * @returns {Promise<void>}
+     */
+    async attachFiles(element, files) {
+      const attached = [];
+
+      if (canAssignFiles()) {
+        for (const metadata of files) {
+          if (!metadata?.stored) continue;
+
+          try {
+            const entry = await this.getStore().load(metadata.id);
+            if (entry?.file) attached.push(entry.file);
+          } catch {
+            // Shown as missing below.
+          }
+        }
       }
 
-      this.logDebug(`Restoring draft for form "${formId}".`, storedDraft);
+      // The visitor picked files, or another restore started, meanwhile.
+      if (this.pendingFiles.get(element) !== files) return;
 
-      const elements = formElement.elements;
-      if (!elements || !elements.length) {
-        return;
+      if (attached.length) {
+        const transfer = new DataTransfer();
+        attached.slice(0, element.multiple ? attached.length : 1).forEach((file) => transfer.items.add(file));
+        element.files = transfer.files;
+        this.pendingFiles.delete(element);
+        element.dispatchEvent(new Event('change', { bubbles: true }));
       }
 
-      for (let i = 0; i < elements.length; i++) {
-        const element = elements[i];
-        const fieldName = element.name;
-        if (!fieldName) continue;
-
-        if (!(fieldName in storedDraft.fields)) continue;
-
-        const adapter = getFieldAdapterForElement(element);
-        if (!adapter) continue;
-
-        const savedValue = storedDraft.fields[fieldName];
-        adapter.writeValue(element, savedValue);
+      const attachedIds = Array.from(element.files || [], (file) => this.getFileId(file));
+      const missing = files.filter((metadata) => metadata && !attachedIds.includes(metadata.id));
+      if (missing.length) {
+        this.showPlaceholder(element, missing);
       }
     }
 
     /**
-     * Wire input/change events to trigger debounced autosave.
-     * @param {HTMLFormElement} formElement
-     * @param {string} formId
+     * @param {HTMLInputElement} element
+     * @param {Object[]} missing Metadata of the files to re-attach.
      */
-    wireInputEvents(formElement, formId) {
-      let saveTimeoutId = null;
+    showPlaceholder(element, missing) {
+      this.removePlaceholder(element);
+
+      const placeholder = document.createElement('p');
+      placeholder.className = FILE_PLACEHOLDER_CLASS;
+      placeholder.id = `${FILE_PLACEHOLDER_CLASS}-${++filePlaceholderIdCounter}`;
+      placeholder.setAttribute('role', 'status');
+      placeholder.textContent = this.placeholderText.replace(
+        '{files}',
+        missing.map((metadata) => `${metadata.name} (${formatFileSize(metadata.size)})`).join(', ')
+      );
+      element.insertAdjacentElement('afterend', placeholder);
 
-      const scheduleSave = () => {
-        if (saveTimeoutId !== null) {
-          clearTimeout(saveTimeoutId);
-        }
+      const describedBy = element.getAttribute('aria-describedby');
+      element.setAttribute('aria-describedby', describedBy ? `${describedBy} ${placeholder.id}` : placeholder.id);
 
-        saveTimeoutId = setTimeout(() => {
-          this.logDebug(`Saving draft for form "${formId}" (debounced).`);
-          this.saveForm(formElement, formId);
-          saveTimeoutId = null;
-        }, this.saveDelayMs);
+      const onChange = () => {
+        if (element.files && element.files.length) this.removePlaceholder(element);
       };
-
-      formElement.addEventListener('input', scheduleSave);
-      formElement.addEventListener('change', scheduleSave);
+      element.addEventListener('change', onChange);
+      this.placeholders.set(element, { placeholder, onChange });
     }
 
     /**
-     * Collect current values from all supported fields and persist the draft.
-     * @param {HTMLFormElement} formElement
-     * @param {string} formId
+     * @param {HTMLInputElement} element
      */
-
-    saveForm(formElement, formId) {
-      const fields = {};
-      const elements = formElement.elements;
-
-      if (!elements || !elements.length) {
-        return;
+    removePlaceholder(element) {
+      const entry = this.placeholders.get(element);
+      if (!entry) return;
+
+      entry.placeholder.remove();
+      element.removeEventListener('change', entry.onChange);
+      this.placeholders.delete(element);
+
+      const describedBy = (element.getAttribute('aria-describedby') || '')
+        .split(/\s+/)
+        .filter((id) => id && id !== entry.placeholder.id)
+        .join(' ');
+      if (describedBy) {
+        element.setAttribute('aria-describedby', describedBy);
+      } else {
+        element.removeAttribute('aria-describedby');
       }
+    }
+  }
 
-      for (let i = 0; i < elements.length; i++) {
-        const element = elements[i];
-        const fieldName = element.name;
-        if (!fieldName) continue;
+  // src/fields/ContentEditableFieldAdapter.js
 
-        // Do not persist passwords.
-        if (element.type === 'password') continue;
+  // Rich-text regions: <div contenteditable data-savior-name="brief">.
+  // HTML is sanitized against an allowlist both when saved and when restored,
+  // so a tampered draft can't inject scripts or event handlers.
 
-        const adapter = getFieldAdapterForElement(element);
-        if (!adapter) continue;
+  const DEFAULT_ALLOWED_TAGS = [
+    'a', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'i', 'li', 'ol', 'p', 'pre', 's', 'span', 'strong', 'sub', 'sup', 'u', 'ul'
+  ];
 
-        const value = adapter.readValue(element);
+  // Removed together with their content; other unknown tags are unwrapped.
+  const DROPPED_TAGS = ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math'];
 
-        // Convention: undefined = "nothing to save" (e.g. unchecked radio).
-        if (value === undefined) continue;
+  const SAFE_URL_PATTERN = /^(?:https?:|mailto:|tel:|[^:]*$)/i;
 
-        fields[fieldName] = value;
-      }
+  /**
+   * @param {string} html
+   * @param {Object} [options]
+   * @param {string[]} [options.allowedTags]
+   * @param {Object<string, string[]>} [options.allowedAttributes] tag -> attribute names.
+   * @returns {string}
+   */
+  function sanitizeHtml(html, { allowedTags = DEFAULT_ALLOWED_TAGS, allowedAttributes = { a: ['href', 'title'] } } = {}) {
+    // <template> content is inert: nothing runs or loads while parsing.
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const cleanChildren = (parent) => {
+      Array.from(parent.childNodes).forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          node.remove();
+          return;
+        }
 
-      const draft = {
-        formId,
-        timestampUtc: new Date().toISOString(),
-        fields
-      };
+        const tag = node.localName;
+        if (DROPPED_TAGS.includes(tag)) {
+          node.remove();
+          return;
+        }
 
-      this.logDebug(`Persisting draft for form "${formId}".`, draft);
-      try {
-        this.driver.save(formId, draft);
-      } catch (err) {
-        this.logWarn(
-          `Driver.save failed for form "${formId}":`,
-          err?.message || err
-        );
-      }
-    }
+        cleanChildren(node);
 
-    /**
-     * On submit, clear the stored draft for this form.
-     * @param {HTMLFormElement} formElement
-     * @param {string} formId
-     */
-    wireSubmitEvent(formElement, formId) {
-      formElement.addEventListener('submit', () => {
-        this.logDebug(`Clearing draft for form "${formId}" on submit.`);
-        try {
-          this.driver.clear(formId);
-        } catch (err) {
-          this.logWarn(
-            `Driver.clear failed for form "${formId}":`,
-            err?.message || err
-          );
+        if (!allowedTags.includes(tag)) {
+          node.replaceWith(...node.childNodes);
+          return;
         }
-      });
-    }
-  }
 
-  // Default driver using window.localStorage for persistence.
+        const allowed = allowedAttributes[tag] || [];
+        Array.from(node.attributes).forEach(({ name, value }) => {
+          const isUrl = name === 'href' || name === 'src';
+          if (!allowed.includes(name) || (isUrl && !SAFE_URL_PATTERN.test(value.replace(/[\s\u0000-\u001f]/g, '')))) {
+            node.removeAttribute(name);
+          }
+        });
+      });
+    };
 
-  // Internal safe JSON parser for driver use
-  function safeParse$1(raw) {
-    try {
-      return JSON.parse(raw);
-    } catch {
-      return null;
-    }
+    cleanChildren(template.content);
+    return template.innerHTML;
   }
 
-  class LocalStorageDriver {
+  class ContentEditableFieldAdapter extends FieldAdapter {
+    /**
+     * @param {Object} [options] Passed to sanitizeHtml (allowedTags, allowedAttributes).
+     */
     constructor(options = {}) {
-      this.storageKeyPrefix = options.storageKeyPrefix || 'savior_draft_';
-      this.debug = options.debug ?? false;
-      this.isStorageAvailable = this.checkStorageAvailable();
+      super();
+      this.sanitizeOptions = options;
+    }
+
+    canHandle(element) {
+      return (
+        element instanceof HTMLElement &&
+        element.hasAttribute('data-savior-name') &&
+        element.hasAttribute('contenteditable') &&
+        element.getAttribute('contenteditable') !== 'false'
+      );
     }
 
     /**
-     * Centralise la génération de la clé de storage.
-     * Format: prefix + formId
-     * Exemple: "savior_draft_form-contact"
+     * @param {HTMLElement} element
+     * @returns {string} Sanitized HTML.
      */
-    getStorageKey(formId) {
-      return `${this.storageKeyPrefix}${formId}`;
+    readValue(element) {
+      return sanitizeHtml(element.innerHTML, this.sanitizeOptions);
     }
 
-    logWarn(...args) {
-      if (!this.debug) return;
-      warn(...args);
+    /**
+     * @param {HTMLElement} element
+     * @param {unknown} value
+     */
+    writeValue(element, value) {
+      element.innerHTML = typeof value === 'string' ? sanitizeHtml(value, this.sanitizeOptions) : '';
     }
+  }
 
-    checkStorageAvailable() {
-      try {
-        if (typeof window === 'undefined' || !window.localStorage) {
-          return false;
-        }
+  // src/fields/CustomElementFieldAdapter.js
 
-        const testKey = '__savior_test__';
-        window.localStorage.setItem(testKey, '1');
-        window.localStorage.removeItem(testKey);
-        return true;
-      } catch (error) {
-        this.logWarn('localStorage not available:', error);
-        return false;
-      }
+  // Form-associated custom elements (static formAssociated = true). They are
+  // listed in form.elements; their state is read from `value`. Elements that
+  // only expose their state through ElementInternals.setFormValue() aren't
+  // saved: reading it back would mean building a FormData of the whole form,
+  // firing the page's "formdata" listeners, on every autosave.
+
+  class CustomElementFieldAdapter extends FieldAdapter {
+    canHandle(element) {
+      return (
+        element instanceof HTMLElement &&
+        element.localName.includes('-') &&
+        element.constructor?.formAssociated === true
+      );
+    }
+
+    /**
+     * @param {HTMLElement} element
+     * @returns {unknown}
+     */
+    readValue(element) {
+      if (!('value' in element)) return undefined;
+      return element.value ?? undefined;
+    }
+
+    /**
+     * Through the `value` setter, or the standard formStateRestoreCallback().
+     * @param {HTMLElement} element
+     * @param {unknown} value
+     */
+    writeValue(element, value) {
+      if ('value' in element) {
+        try {
+          element.value = value;
+          return;
+        } catch {
+          // Read-only value: fall back to the restore callback.
+        }
+      }
+
+      if (typeof element.formStateRestoreCallback === 'function') {
+        element.formStateRestoreCallback(value, 'restore');
+      }
+    }
+  }
+
+  // src/fields/FieldAdapterRegistry.js
+
+
+  const defaultAdapters = [
+    new TextFieldAdapter(),
+    new CheckboxFieldAdapter(),
+    new RadioFieldAdapter(),
+    new SelectFieldAdapter(),
+    new ValueFieldAdapter(),
+    new ContentEditableFieldAdapter(),
+    new CustomElementFieldAdapter()
+  ];
+
+  // Built-in adapters sit at priority 0. Adapters registered at runtime default
+  // to priority 1 (tried first); a negative priority makes them a fallback.
+  const DEFAULT_ADAPTER_PRIORITY = 0;
+  const REGISTERED_ADAPTER_PRIORITY = 1;
+
+  /** @type {Array<{adapter: FieldAdapter, priority: number, order: number}>} */
+  const adapterEntries = defaultAdapters.map((adapter, order) => ({
+    adapter,
+    priority: DEFAULT_ADAPTER_PRIORITY,
+    order
+  }));
+
+  /** @type {FieldAdapter[]} */
+  let adapterChain = defaultAdapters.slice();
+
+  /**
+   * Duck-typed check against the FieldAdapter contract.
+   *
+   * @param {unknown} adapter
+   * @returns {boolean}
+   */
+  function isFieldAdapter(adapter) {
+    return (
+      !!adapter &&
+      typeof adapter.canHandle === 'function' &&
+      typeof adapter.readValue === 'function' &&
+      typeof adapter.writeValue === 'function'
+    );
+  }
+
+  /**
+   * Register a custom adapter for every Savior instance.
+   * Higher priority is tried first; equal priorities keep registration order.
+   *
+   * @param {FieldAdapter} adapter
+   * @param {Object} [options]
+   * @param {number} [options.priority=1]
+   * @returns {() => void} Unregisters the adapter.
+   */
+  function registerFieldAdapter(adapter, { priority = REGISTERED_ADAPTER_PRIORITY } = {}) {
+    if (!isFieldAdapter(adapter)) {
+      throw new TypeError('Adapter must implement canHandle(), readValue() and writeValue().');
+    }
+
+    const entry = { adapter, priority, order: adapterEntries.length };
+    adapterEntries.push(entry);
+    rebuildAdapterChain();
+
+    return () => {
+      const index = adapterEntries.indexOf(entry);
+      if (index === -1) return;
+      adapterEntries.splice(index, 1);
+      rebuildAdapterChain();
+    };
+  }
+
+  function rebuildAdapterChain() {
+    adapterChain = adapterEntries
+      .slice()
+      .sort((a, b) => b.priority - a.priority || a.order - b.order)
+      .map((entry) => entry.adapter);
+  }
+
+  /**
+   * Registered + built-in adapters, in lookup order.
+   *
+   * @returns {FieldAdapter[]}
+   */
+  function getAdapterChain() {
+    return adapterChain;
+  }
+
+  /**
+   * Returns the first adapter that can handle the given field element.
+   *
+   * @param {HTMLElement} element
+   * @param {FieldAdapter[]} [adapters]
+   * @returns {FieldAdapter|null}
+   */
+  function getFieldAdapterForElement(element, adapters = getAdapterChain()) {
+    for (const adapter of adapters) {
+      try {
+        if (adapter.canHandle(element)) {
+          return adapter;
+        }
+      } catch (error) {
+        // Safety net: one bad adapter should not break everything
+        // You could log this in a debug mode.
+        continue;
+      }
+    }
+
+    return null;
+  }
+
+  // src/core/logger.js
+
+  // Shared console output for every Savior component. Each component decides
+  // whether to log (its own `debug` flag); the logger only formats.
+
+  const LOG_PREFIX = '[Savior]';
+
+  const logger = {
+    debug(...args) {
+      if (typeof console === 'undefined') return;
+      console.log(LOG_PREFIX, ...args);
+    },
+
+    warn(...args) {
+      if (typeof console === 'undefined') return;
+      console.warn(LOG_PREFIX, ...args);
+    }
+  };
+
+  // src/core/draft-history.js
+
+  // Draft history is stored through the same driver as the current draft,
+  // under a derived id, so every driver supports it without changes.
+  //
+  // history record schema:
+  // {
+  //   formId: string,
+  //   timestampUtc: string, // ISO 8601, newest snapshot
+  //   snapshots: Array<{ timestampUtc: string, schemaVersion?: number, fields: Object }> // newest first
+  // }
+
+  const HISTORY_SUFFIX = '::history';
+
+  /**
+   * @param {string} formId
+   * @returns {string}
+   */
+  function getHistoryId(formId) {
+    return `${formId}${HISTORY_SUFFIX}`;
+  }
+
+  /**
+   * Drop snapshots beyond the size cap or older than the max age.
+   *
+   * @param {Array<{timestampUtc: string, fields: Object}>} snapshots Newest first.
+   * @param {Object} limits
+   * @param {number} limits.historySize
+   * @param {number} limits.historyMaxAgeMs
+   * @param {number} [limits.now=Date.now()]
+   * @returns {Array<{timestampUtc: string, fields: Object}>}
+   */
+  function pruneSnapshots(snapshots, { historySize, historyMaxAgeMs, now = Date.now() }) {
+    return snapshots
+      .filter((snapshot) => {
+        const time = Date.parse(snapshot?.timestampUtc);
+        return Number.isFinite(time) && now - time <= historyMaxAgeMs;
+      })
+      .slice(0, historySize);
+  }
+
+  /**
+   * Whether a save removed most of the form's content since the previous one
+   * (e.g. a reset or a cleared textarea), which is worth a snapshot of the
+   * content that was there before.
+   *
+   * @param {number} previousSize JSON length of the previous draft's fields.
+   * @param {number} size JSON length of the new draft's fields.
+   * @returns {boolean}
+   */
+  function isLargeDeletion(previousSize, size) {
+    return previousSize - size > previousSize / 2;
+  }
+
+  /**
+   * Return a new history record with the draft pushed as the newest snapshot.
+   * A draft identical to the newest snapshot only refreshes its timestamp.
+   *
+   * @param {Object|null} record Existing history record.
+   * @param {Object} draft
+   * @param {Object} limits See pruneSnapshots().
+   * @returns {Object}
+   */
+  function appendSnapshot(record, draft, limits) {
+    const previous = Array.isArray(record?.snapshots) ? record.snapshots : [];
+    const snapshot = {
+      timestampUtc: draft.timestampUtc,
+      schemaVersion: draft.schemaVersion,
+      fields: draft.fields
+    };
+
+    const isDuplicate =
+      previous.length > 0 &&
+      JSON.stringify(previous[0].fields) === JSON.stringify(draft.fields);
+
+    const snapshots = pruneSnapshots(
+      [snapshot, ...(isDuplicate ? previous.slice(1) : previous)],
+      limits
+    );
+
+    return {
+      formId: draft.formId,
+      timestampUtc: draft.timestampUtc,
+      snapshots
+    };
+  }
+
+  // src/core/wizard-steps.js
+
+  // Multi-step forms: each step is a container inside the form marked with
+  // data-savior-step="<name>". The current step is the first one that isn't
+  // `hidden`; the page's own wizard code shows and hides them.
+
+  const STEP_ATTRIBUTE = 'data-savior-step';
+
+  /**
+   * @param {HTMLFormElement} formElement
+   * @returns {HTMLElement[]} Step containers, in document order.
+   */
+  function getStepContainers(formElement) {
+    return Array.from(formElement.querySelectorAll(`[${STEP_ATTRIBUTE}]`));
+  }
+
+  /**
+   * @param {HTMLFormElement} formElement
+   * @returns {string|null} Name of the visible step, or null.
+   */
+  function getCurrentStep(formElement) {
+    const current = getStepContainers(formElement).find((container) => !container.hidden);
+    return current ? current.getAttribute(STEP_ATTRIBUTE) : null;
+  }
+
+  /**
+   * Constraint-validation state of the fields inside a step. Uses
+   * `validity` rather than checkValidity(), which would fire "invalid" events.
+   * @param {HTMLElement} container
+   * @returns {boolean}
+   */
+  function isStepValid(container) {
+    return Array.from(container.querySelectorAll('input, select, textarea'))
+      .every((field) => !field.willValidate || field.validity.valid);
+  }
+
+  /**
+   * Snapshot of the wizard, stored as `draft.wizard`.
+   * @param {HTMLFormElement} formElement
+   * @param {string[]} completedSteps
+   * @returns {{currentStep: string|null, completedSteps: string[], validity: Object<string, boolean>}|null}
+   *   null when the form has no steps.
+   */
+  function readWizardState(formElement, completedSteps) {
+    const containers = getStepContainers(formElement);
+    if (!containers.length) return null;
+
+    const validity = {};
+    containers.forEach((container) => {
+      validity[container.getAttribute(STEP_ATTRIBUTE)] = isStepValid(container);
+    });
+
+    return {
+      currentStep: getCurrentStep(formElement),
+      completedSteps: completedSteps.slice(),
+      validity
+    };
+  }
+
+  /**
+   * Show one step and hide the others.
+   * @param {HTMLFormElement} formElement
+   * @param {string} step
+   * @returns {boolean} false when the form has no such step.
+   */
+  function showStep(formElement, step) {
+    const containers = getStepContainers(formElement);
+    if (!containers.some((container) => container.getAttribute(STEP_ATTRIBUTE) === step)) {
+      return false;
+    }
+
+    containers.forEach((container) => {
+      container.hidden = container.getAttribute(STEP_ATTRIBUTE) !== step;
+    });
+    return true;
+  }
+
+  /**
+   * @param {unknown} value
+   * @returns {boolean} true when value has the shape of `draft.wizard`.
+   */
+  function isWizardState(value) {
+    return isPlainObject(value) &&
+      (value.currentStep === null || typeof value.currentStep === 'string') &&
+      Array.isArray(value.completedSteps) &&
+      value.completedSteps.every((step) => typeof step === 'string') &&
+      isPlainObject(value.validity) &&
+      Object.values(value.validity).every((valid) => typeof valid === 'boolean');
+  }
+
+  // src/core/draft-schema.js
+
+  /**
+   * Error thrown when a draft does not match the draft schema.
+   * `issues` lists every problem found, one human-readable line each.
+   */
+  class DraftValidationError extends Error {
+    /**
+     * @param {string[]} issues
+     */
+    constructor(issues) {
+      super(`Invalid Savior draft: ${issues.join('; ')}`);
+      this.name = 'DraftValidationError';
+      this.issues = issues;
+    }
+  }
+
+  const ISO_8601_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+  /**
+   * @param {unknown} value
+   * @returns {boolean}
+   */
+  function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+  }
+
+  /**
+   * Validate (and optionally repair) an untrusted draft, e.g. one pasted by a user.
+   *
+   * Repairable problems (only fixed when `repair` is true):
+   * - missing or mismatching formId, when `formId` is given
+   * - missing or invalid timestampUtc (replaced by "now")
+   * - invalid schemaVersion (dropped, i.e. treated as version 1)
+   * - invalid wizard state (dropped)
+   *
+   * A draft without a `fields` object is never repairable.
+   *
+   * @param {unknown} input Draft object, or its JSON string.
+   * @param {Object} [options]
+   * @param {string} [options.formId] Expected formId.
+   * @param {boolean} [options.repair=false]
+   * @returns {{formId: string, timestampUtc: string, schemaVersion?: number, wizard?: Object, fields: Object}}
+   *   A clean copy of the draft.
+   * @throws {DraftValidationError}
+   */
+  function validateDraft(input, { formId, repair = false } = {}) {
+    let candidate = input;
+
+    if (typeof input === 'string') {
+      try {
+        candidate = JSON.parse(input);
+      } catch (err) {
+        throw new DraftValidationError([`not valid JSON (${err.message})`]);
+      }
+    }
+
+    if (!isPlainObject(candidate)) {
+      throw new DraftValidationError(['draft must be a JSON object']);
+    }
+
+    const issues = [];
+    const draft = {};
+
+    // formId
+    const hasFormId = typeof candidate.formId === 'string' && candidate.formId.trim() !== '';
+    if (formId && (!hasFormId || candidate.formId !== formId)) {
+      if (repair) {
+        draft.formId = formId;
+      } else {
+        issues.push(hasFormId
+          ? `"formId" is "${candidate.formId}", expected "${formId}"`
+          : '"formId" must be a non-empty string');
+      }
+    } else if (!hasFormId) {
+      issues.push('"formId" must be a non-empty string');
+    } else {
+      draft.formId = candidate.formId;
+    }
+
+    // timestampUtc
+    const time = typeof candidate.timestampUtc === 'string' && ISO_8601_PATTERN.test(candidate.timestampUtc)
+      ? Date.parse(candidate.timestampUtc)
+      : NaN;
+    if (Number.isFinite(time)) {
+      draft.timestampUtc = new Date(time).toISOString();
+    } else if (repair) {
+      draft.timestampUtc = new Date().toISOString();
+    } else {
+      issues.push('"timestampUtc" must be an ISO 8601 date string');
+    }
+
+    // schemaVersion (optional, defaults to 1)
+    if (candidate.schemaVersion !== undefined) {
+      if (Number.isInteger(candidate.schemaVersion) && candidate.schemaVersion >= 1) {
+        draft.schemaVersion = candidate.schemaVersion;
+      } else if (!repair) {
+        issues.push('"schemaVersion" must be a positive integer');
+      }
+    }
+
+    // wizard (optional, multi-step forms)
+    if (candidate.wizard !== undefined) {
+      if (isWizardState(candidate.wizard)) {
+        draft.wizard = {
+          currentStep: candidate.wizard.currentStep,
+          completedSteps: candidate.wizard.completedSteps.slice(),
+          validity: { ...candidate.wizard.validity }
+        };
+      } else if (!repair) {
+        issues.push('"wizard" must be { currentStep, completedSteps, validity }');
+      }
+    }
+
+    // fields
+    if (isPlainObject(candidate.fields)) {
+      draft.fields = { ...candidate.fields };
+    } else {
+      issues.push('"fields" must be an object');
+    }
+
+    if (issues.length) {
+      throw new DraftValidationError(issues);
+    }
+
+    return draft;
+  }
+
+  // src/core/field-rules.js
+
+  // autocomplete tokens whose values should never sit in a draft.
+  const SENSITIVE_AUTOCOMPLETE_TOKENS = [
+    'cc-number',
+    'cc-csc',
+    'cc-exp',
+    'cc-exp-month',
+    'cc-exp-year',
+    'one-time-code',
+    'current-password',
+    'new-password'
+  ];
+
+  /**
+   * Realm-safe RegExp check (rules may come from another frame).
+   * @param {unknown} value
+   * @returns {boolean}
+   */
+  function isRegExp(value) {
+    return Object.prototype.toString.call(value) === '[object RegExp]';
+  }
+
+  /**
+   * A field rule is either a CSS selector (matched with element.matches)
+   * or a RegExp (tested against the field name).
+   *
+   * @param {HTMLElement} element
+   * @param {string|RegExp} rule
+   * @returns {boolean}
+   */
+  function matchesFieldRule(element, rule) {
+    if (isRegExp(rule)) {
+      rule.lastIndex = 0;
+      return rule.test(getFieldName(element));
+    }
+
+    try {
+      return element.matches(rule);
+    } catch {
+      return false; // Invalid selector: never matches.
+    }
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  function hasSensitiveAutocomplete(element) {
+    const autocomplete = element.getAttribute('autocomplete');
+    if (!autocomplete) return false;
+
+    return autocomplete
+      .toLowerCase()
+      .split(/\s+/)
+      .some((token) => SENSITIVE_AUTOCOMPLETE_TOKENS.includes(token));
+  }
+
+  // src/core/draft-migrations.js
+
+  // Drafts carry the schemaVersion of the form that wrote them (1 if missing).
+  // Migrations upgrade an older draft step by step until it reaches the
+  // version of the live form.
+
+  const DEFAULT_SCHEMA_VERSION = 1;
+
+  /** @type {Map<string, Array<{from: number, to: number, migrate: Function}>>} */
+  const migrationsByFormId = new Map();
+
+  /**
+   * Register a migration for one form.
+   *
+   * @param {string} formId
+   * @param {number} from Version the migration reads.
+   * @param {number} to Version it produces (greater than from).
+   * @param {(draft: Object) => Object|Promise<Object>} migrate Returns the upgraded draft.
+   */
+  function registerDraftMigration(formId, from, to, migrate) {
+    if (typeof formId !== 'string' || !formId) {
+      throw new TypeError('Migration formId must be a non-empty string.');
+    }
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to <= from) {
+      throw new TypeError('Migration versions must be integers with 1 <= from < to.');
+    }
+    if (typeof migrate !== 'function') {
+      throw new TypeError('Migration must be a function.');
+    }
+
+    const migrations = migrationsByFormId.get(formId) || [];
+    migrations.push({ from, to, migrate });
+    migrationsByFormId.set(formId, migrations);
+  }
+
+  /**
+   * @param {Object} draft
+   * @returns {number}
+   */
+  function getDraftSchemaVersion(draft) {
+    return Number.isInteger(draft?.schemaVersion) ? draft.schemaVersion : DEFAULT_SCHEMA_VERSION;
+  }
+
+  /**
+   * Upgrade a draft to targetVersion by chaining registered migrations.
+   * At each step the migration reaching furthest without passing the target wins.
+   *
+   * @param {string} formId
+   * @param {Object} draft
+   * @param {number} targetVersion
+   * @returns {Promise<Object|null>} The upgraded draft, or null when no migration
+   *   path exists (or the draft is newer than the form).
+   */
+  async function migrateDraft(formId, draft, targetVersion) {
+    let current = draft;
+    let version = getDraftSchemaVersion(draft);
+
+    if (version > targetVersion) return null;
+
+    const migrations = migrationsByFormId.get(formId) || [];
+
+    while (version < targetVersion) {
+      const step = migrations
+        .filter((migration) => migration.from === version && migration.to <= targetVersion)
+        .sort((a, b) => b.to - a.to)[0];
+
+      if (!step) return null;
+
+      const migrated = await step.migrate(current);
+      if (!migrated || typeof migrated !== 'object' || !migrated.fields) {
+        throw new Error(`Migration ${step.from} -> ${step.to} for form "${formId}" returned no draft.`);
+      }
+
+      current = { ...migrated, schemaVersion: step.to };
+      version = step.to;
+    }
+
+    return current;
+  }
+
+  // src/ui/RestorePrompt.js
+
+  // Optional banner shown above a form when a draft exists, instead of
+  // restoring silently. Themeable through CSS custom properties:
+  //   --savior-prompt-bg, --savior-prompt-fg, --savior-prompt-border, --savior-prompt-accent
+
+  const PROMPT_STYLE_ID = 'savior-prompt-styles';
+
+  const DEFAULT_PROMPT_LABELS = {
+    region: 'Saved draft',
+    message: 'You have an unsent draft saved {time}.',
+    restore: 'Restore',
+    discard: 'Discard',
+    preview: 'Preview',
+    hidePreview: 'Hide preview',
+    emptyPreview: 'This draft has no filled-in fields.'
+  };
+
+  const PROMPT_STYLES = `
+:where(.savior-prompt) {
+  margin: 0 0 1em;
+  padding: 0.75em 1em;
+  border: 1px solid var(--savior-prompt-border, currentColor);
+  border-radius: 4px;
+  background: var(--savior-prompt-bg, transparent);
+  color: var(--savior-prompt-fg, inherit);
+}
+:where(.savior-prompt__actions) { display: flex; flex-wrap: wrap; gap: 0.5em; }
+:where(.savior-prompt__actions button):focus-visible {
+  outline: 2px solid var(--savior-prompt-accent, currentColor);
+  outline-offset: 2px;
+}
+:where(.savior-prompt__preview) { margin: 0.75em 0 0; max-height: 16em; overflow: auto; }
+:where(.savior-prompt__preview dd) { margin: 0 0 0.5em; white-space: pre-wrap; }
+`;
+
+  const RELATIVE_TIME_UNITS = [
+    ['year', 365 * 24 * 60 * 60 * 1000],
+    ['month', 30 * 24 * 60 * 60 * 1000],
+    ['week', 7 * 24 * 60 * 60 * 1000],
+    ['day', 24 * 60 * 60 * 1000],
+    ['hour', 60 * 60 * 1000],
+    ['minute', 60 * 1000],
+    ['second', 1000]
+  ];
+
+  let promptIdCounter = 0;
+
+  /**
+   * "5 minutes ago", "yesterday"... in the page language when Intl supports it.
+   * @param {string} timestampUtc
+   * @param {string} [locale]
+   * @param {number} [now=Date.now()]
+   * @returns {string}
+   */
+  function formatRelativeTime(timestampUtc, locale, now = Date.now()) {
+    const time = Date.parse(timestampUtc);
+    if (!Number.isFinite(time)) return '';
+
+    const elapsed = time - now;
+    const [unit, unitMs] = RELATIVE_TIME_UNITS.find(([, ms]) => Math.abs(elapsed) >= ms)
+      || RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+    const amount = Math.round(elapsed / unitMs);
+
+    if (typeof Intl !== 'undefined' && typeof Intl.RelativeTimeFormat === 'function') {
+      return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(amount, unit);
+    }
+
+    return new Date(time).toLocaleString(locale);
+  }
+
+  /**
+   * @param {unknown} value Saved field value.
+   * @returns {string}
+   */
+  function formatPreviewValue(value) {
+    if (typeof value === 'boolean') return value ? '✓' : '✗';
+    if (Array.isArray(value)) return value.map(formatPreviewValue).join(', ');
+    if (value && typeof value === 'object') return JSON.stringify(value);
+
+    const text = String(value ?? '');
+    return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+  }
+
+  class RestorePrompt {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.labels] Overrides DEFAULT_PROMPT_LABELS ("{time}" is replaced in message).
+     * @param {string} [options.className='savior-prompt'] Base class (BEM-style children).
+     * @param {boolean} [options.injectStyles=true] Add the minimal default styles once per page.
+     * @param {string} [options.locale] Locale for the relative time (default: <html lang>).
+     */
+    constructor(options = {}) {
+      this.labels = { ...DEFAULT_PROMPT_LABELS, ...options.labels };
+      this.className = options.className || 'savior-prompt';
+      this.injectStyles = options.injectStyles !== false;
+      this.locale = options.locale || document.documentElement.lang || undefined;
+      this.element = null;
+      this.resolveChoice = null;
+    }
+
+    /**
+     * Insert the banner before the form and wait for the visitor.
+     * @param {HTMLFormElement} formElement
+     * @param {Object} draft
+     * @returns {Promise<'restore'|'discard'|'dismissed'>}
+     */
+    show(formElement, draft) {
+      this.remove();
+
+      if (this.injectStyles) {
+        this.addStyles();
+      }
+
+      const id = `savior-prompt-${++promptIdCounter}`;
+      const base = this.className;
+
+      const banner = document.createElement('div');
+      banner.className = base;
+      banner.setAttribute('role', 'region');
+      banner.setAttribute('aria-label', this.labels.region);
+
+      const message = document.createElement('p');
+      message.className = `${base}__message`;
+      message.setAttribute('role', 'status');
+      message.setAttribute('aria-live', 'polite');
+
+      const actions = document.createElement('div');
+      actions.className = `${base}__actions`;
+
+      const preview = this.buildPreview(formElement, draft);
+      preview.id = `${id}-preview`;
+      preview.hidden = true;
+
+      const buttons = ['restore', 'discard', 'preview'].map((action) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `${base}__button ${base}__button--${action}`;
+        button.dataset.saviorAction = action;
+        button.textContent = this.labels[action];
+        actions.appendChild(button);
+        return button;
+      });
+
+      const previewButton = buttons[2];
+      previewButton.setAttribute('aria-expanded', 'false');
+      previewButton.setAttribute('aria-controls', preview.id);
+
+      banner.append(message, actions, preview);
+      formElement.parentNode.insertBefore(banner, formElement);
+      this.element = banner;
+
+      // Filled after insertion so screen readers announce the live region.
+      setTimeout(() => {
+        message.textContent = this.labels.message.replace(
+          '{time}',
+          formatRelativeTime(draft.timestampUtc, this.locale)
+        );
+      }, 0);
+
+      return new Promise((resolve) => {
+        this.resolveChoice = resolve;
+
+        banner.addEventListener('click', (event) => {
+          const button = event.target.closest('[data-savior-action]');
+          if (!button) return;
+
+          if (button.dataset.saviorAction === 'preview') {
+            preview.hidden = !preview.hidden;
+            previewButton.setAttribute('aria-expanded', String(!preview.hidden));
+            previewButton.textContent = preview.hidden ? this.labels.preview : this.labels.hidePreview;
+            return;
+          }
+
+          this.finish(button.dataset.saviorAction);
+        });
+
+        // Arrow keys move between the actions; Escape hides the banner and keeps the draft.
+        banner.addEventListener('keydown', (event) => {
+          if (event.key === 'Escape') {
+            this.finish('dismissed');
+            return;
+          }
+
+          const index = buttons.indexOf(document.activeElement);
+          if (index === -1) return;
+
+          const moves = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+          if (event.key in moves) {
+            event.preventDefault();
+            buttons[(index + moves[event.key] + buttons.length) % buttons.length].focus();
+          } else if (event.key === 'Home' || event.key === 'End') {
+            event.preventDefault();
+            buttons[event.key === 'Home' ? 0 : buttons.length - 1].focus();
+          }
+        });
+      });
+    }
+
+    /**
+     * Remove the banner; a pending show() resolves with "dismissed".
+     */
+    remove() {
+      this.finish('dismissed');
+    }
+
+    /**
+     * @param {'restore'|'discard'|'dismissed'} choice
+     */
+    finish(choice) {
+      if (this.element) {
+        const hadFocus = this.element.contains(document.activeElement);
+        const next = this.element.nextElementSibling;
+        this.element.remove();
+        this.element = null;
+
+        // Don't strand keyboard users on a removed node.
+        if (hadFocus && next) {
+          const firstField = next.querySelector('input, select, textarea, [contenteditable]');
+          if (firstField) firstField.focus();
+        }
+      }
+
+      if (this.resolveChoice) {
+        const resolve = this.resolveChoice;
+        this.resolveChoice = null;
+        resolve(choice);
+      }
+    }
+
+    /**
+     * @param {HTMLFormElement} formElement
+     * @param {Object} draft
+     * @returns {HTMLDListElement|HTMLParagraphElement}
+     */
+    buildPreview(formElement, draft) {
+      const entries = Object.entries(draft.fields || {})
+        .filter(([, value]) => value !== '' && value !== false && value !== null &&
+          !(Array.isArray(value) && value.length === 0));
+
+      if (!entries.length) {
+        const empty = document.createElement('p');
+        empty.className = `${this.className}__preview`;
+        empty.textContent = this.labels.emptyPreview;
+        return empty;
+      }
+
+      const list = document.createElement('dl');
+      list.className = `${this.className}__preview`;
+
+      entries.forEach(([name, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = this.getFieldLabel(formElement, name);
+        const description = document.createElement('dd');
+        description.textContent = formatPreviewValue(value);
+        list.append(term, description);
+      });
+
+      return list;
+    }
+
+    /**
+     * Visible label text of a field, falling back to its name.
+     * @param {HTMLFormElement} formElement
+     * @param {string} name
+     * @returns {string}
+     */
+    getFieldLabel(formElement, name) {
+      // Repeated and bracketed names ("services[]", "links[0][url]") are stored under their base name.
+      const fields = getFormFields(formElement);
+      const element = fields.find((field) => getFieldName(field) === name) ||
+        fields.find((field) => parseFieldName(getFieldName(field))[0] === name);
+
+      const label = element?.labels?.[0]?.textContent?.trim();
+      return label || element?.getAttribute?.('aria-label') || name;
+    }
+
+    addStyles() {
+      if (document.getElementById(PROMPT_STYLE_ID)) return;
+
+      const style = document.createElement('style');
+      style.id = PROMPT_STYLE_ID;
+      style.textContent = PROMPT_STYLES;
+      document.head.appendChild(style);
+    }
+  }
+
+  // src/ui/DebugPanel.js
+
+  // Overlay listing the forms attached by live Savior instances: formId, last
+  // save, stored draft size and the adapter handling each field, with export
+  // and clear buttons. Opened by the debugPanel option or Savior.showDebugPanel().
+
+  const DEBUG_PANEL_STYLE_ID = 'savior-debug-panel-styles';
+
+  const DEBUG_PANEL_STYLES = `
+.savior-debug {
+  position: fixed;
+  right: 1em;
+  bottom: 1em;
+  z-index: 2147483647;
+  width: 24em;
+  max-height: 60vh;
+  overflow: auto;
+  padding: 0.5em 0.75em;
+  border: 1px solid #888;
+  border-radius: 4px;
+  background: #fff;
+  color: #222;
+  font: 12px/1.4 monospace;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+}
+.savior-debug__header { display: flex; gap: 0.5em; align-items: center; }
+.savior-debug__header strong { flex: 1; }
+.savior-debug__form { margin-top: 0.75em; border-top: 1px solid #ddd; padding-top: 0.5em; }
+.savior-debug__form h3 { margin: 0 0 0.25em; font-size: 1em; }
+.savior-debug table { width: 100%; border-collapse: collapse; margin: 0.25em 0; }
+.savior-debug td { padding: 0 0.25em; vertical-align: top; word-break: break-all; }
+`;
+
+  // Events that change what the panel shows.
+  const DEBUG_PANEL_EVENTS = ['savior:save', 'savior:clear', 'savior:restore', 'savior:error'];
+
+  /**
+   * @param {Object|null} draft
+   * @returns {number} Approximate size of the draft as UTF-8 JSON, in bytes.
+   */
+  function getDraftSize(draft) {
+    if (!draft) return 0;
+
+    const json = JSON.stringify(draft);
+    return typeof TextEncoder === 'function' ? new TextEncoder().encode(json).length : json.length;
+  }
+
+  class DebugPanel {
+    /**
+     * @param {() => SaviorCore[]} getCores Live instances to inspect.
+     */
+    constructor(getCores) {
+      this.getCores = getCores;
+      this.element = null;
+      this.refreshTimeoutId = null;
+      this.onSaviorEvent = () => this.scheduleRefresh();
+    }
+
+    open() {
+      if (this.element) {
+        this.refresh();
+        return;
+      }
+
+      if (!document.getElementById(DEBUG_PANEL_STYLE_ID)) {
+        const style = document.createElement('style');
+        style.id = DEBUG_PANEL_STYLE_ID;
+        style.textContent = DEBUG_PANEL_STYLES;
+        document.head.appendChild(style);
+      }
+
+      const panel = document.createElement('aside');
+      panel.className = 'savior-debug';
+      panel.setAttribute('aria-label', 'Savior debug panel');
+
+      const header = document.createElement('div');
+      header.className = 'savior-debug__header';
+      const title = document.createElement('strong');
+      title.textContent = 'Savior';
+      header.append(
+        title,
+        this.createButton('Refresh', () => this.refresh()),
+        this.createButton('Close', () => this.close())
+      );
+
+      const body = document.createElement('div');
+      body.className = 'savior-debug__body';
+
+      panel.append(header, body);
+      document.body.appendChild(panel);
+      this.element = panel;
+
+      DEBUG_PANEL_EVENTS.forEach((type) => document.addEventListener(type, this.onSaviorEvent));
+      this.refresh();
+    }
+
+    close() {
+      if (!this.element) return;
+
+      clearTimeout(this.refreshTimeoutId);
+      DEBUG_PANEL_EVENTS.forEach((type) => document.removeEventListener(type, this.onSaviorEvent));
+      this.element.remove();
+      this.element = null;
+    }
+
+    scheduleRefresh() {
+      clearTimeout(this.refreshTimeoutId);
+      this.refreshTimeoutId = setTimeout(() => this.refresh(), 100);
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+      if (!this.element) return;
+
+      const entries = [];
+      this.getCores().forEach((core) => {
+        core.attachedForms.forEach((state, formElement) => entries.push({ core, state, formElement }));
+      });
+
+      const sections = await Promise.all(entries.map((entry) => this.renderForm(entry)));
+      if (!this.element) return;
+
+      if (!sections.length) {
+        const empty = document.createElement('p');
+        empty.textContent = 'No attached form.';
+        sections.push(empty);
+      }
+      this.element.querySelector('.savior-debug__body').replaceChildren(...sections);
+    }
+
+    /**
+     * @param {{core: SaviorCore, state: Object, formElement: HTMLFormElement}} entry
+     * @returns {Promise<HTMLElement>}
+     */
+    async renderForm({ core, state, formElement }) {
+      const { formId } = state;
+
+      let draft = null;
+      try {
+        draft = await core.callDriver('load', formId);
+      } catch (error) {
+        core.logWarn(`Debug panel: failed to load draft "${formId}":`, error?.message || error);
+      }
+
+      const section = document.createElement('section');
+      section.className = 'savior-debug__form';
+
+      const title = document.createElement('h3');
+      title.textContent = formId;
+
+      const summary = document.createElement('div');
+      summary.textContent = [
+        `Last save: ${state.lastSaveUtc ? new Date(state.lastSaveUtc).toLocaleTimeString() : '—'}`,
+        `Draft: ${draft ? formatFileSize(getDraftSize(draft)) : 'none'}`
+      ].join(' · ');
+
+      const table = document.createElement('table');
+      const adapters = core.getAdapters();
+      const listed = new Set();
+      getFormFields(formElement).forEach((element) => {
+        const name = getFieldName(element);
+        if (!name || listed.has(name)) return;
+        listed.add(name);
+
+        const adapter = core.shouldPersistField(element) ? getFieldAdapterForElement(element, adapters) : null;
+        const row = table.insertRow();
+        row.insertCell().textContent = name;
+        row.insertCell().textContent = adapter ? adapter.constructor.name || 'custom adapter' : 'not saved';
+      });
+
+      const actions = document.createElement('div');
+      actions.append(
+        this.createButton('Export', () => this.exportDraft(core, formId)),
+        this.createButton('Clear', () => this.clearDraft(core, formId))
+      );
+
+      section.append(title, summary, table, actions);
+      return section;
+    }
+
+    /**
+     * @param {string} label
+     * @param {Function} onClick
+     * @returns {HTMLButtonElement}
+     */
+    createButton(label, onClick) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      return button;
+    }
+
+    /**
+     * Download the stored draft as "savior-<formId>.json".
+     * @param {SaviorCore} core
+     * @param {string} formId
+     * @returns {Promise<void>}
+     */
+    async exportDraft(core, formId) {
+      const draft = await core.callDriver('load', formId);
+      if (!draft || typeof URL.createObjectURL !== 'function') return;
+
+      const url = URL.createObjectURL(new Blob([JSON.stringify(draft, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `savior-${formId}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Clear the draft and its history through the form's write queue.
+     * @param {SaviorCore} core
+     * @param {string} formId
+     * @returns {Promise<boolean>}
+     */
+    clearDraft(core, formId) {
+      return core.enqueueWrite(formId, 'clear', async () => {
+        await core.clearStoredDraft(formId);
+        core.emitForFormId(formId, 'clear', { formId, reason: 'debug' });
+      });
+    }
+  }
+
+  // src/core/field-names.js
+
+  // Field names follow the FormData / PHP conventions:
+  //   - controls sharing a name, or a name ending in "[]", store an array in
+  //     document order; checkboxes store the values of the checked ones, like
+  //     FormData.getAll() ("services[]" -> ["web", "seo"]), and so does a
+  //     <select multiple> alone under its name ("tags[]" -> ["a", "b"]);
+  //   - bracketed names are stored nested: "links[0][url]" -> { links: [{ url }] },
+  //     and "links[][url]" rows are numbered in document order.
+  // Older drafts stored every name as a flat key; a flat key is read first.
+
+  const BRACKETED_NAME_PATTERN = /^([^[\]]+)((?:\[[^[\]]*\])+)$/;
+
+  // Path segments that would reach Object.prototype when used as keys: fields
+  // named with them aren't saved or restored.
+  const UNSAFE_PATH_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+  /**
+   * Name a field is saved under: `name` for form controls (or the attribute, for
+   * custom elements that don't reflect it), data-savior-name for other regions.
+   * @param {Element} element
+   * @returns {string} Empty when the element has no name.
+   */
+  function getFieldName(element) {
+    if (typeof element.name === 'string' && element.name) return element.name;
+    return element.getAttribute?.('name') || element.getAttribute?.('data-savior-name') || '';
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string[]} "links[0][url]" -> ["links", "0", "url"]; "tags[]" -> ["tags", ""].
+   */
+  function parseFieldName(name) {
+    const match = BRACKETED_NAME_PATTERN.exec(name);
+    if (!match) return [name];
+
+    return [match[1], ...match[2].slice(1, -1).split('][')];
+  }
+
+  /**
+   * Candidate fields of a form: its controls (form-associated custom elements
+   * included) plus the [data-savior-name] regions inside it.
+   * @param {HTMLFormElement} formElement
+   * @returns {HTMLElement[]}
+   */
+  function getFormFields(formElement) {
+    const fields = Array.from(formElement.elements || []);
+    const known = new Set(fields);
+
+    // Named custom elements too: browsers without form-associated custom
+    // element support leave them out of form.elements.
+    formElement.querySelectorAll('[data-savior-name], [name]').forEach((element) => {
+      if (known.has(element)) return;
+      if (element.hasAttribute('data-savior-name') || element.localName.includes('-')) {
+        fields.push(element);
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Number the controls sharing a name, in document order. A radio group is
+   * a single control.
+   * @param {HTMLElement[]} elements Persisted controls of the whole form.
+   * @returns {{isMultiple: (name: string) => boolean, count: (name: string) => number,
+   *   occurrence: (element: HTMLElement) => number}}
+   */
+  function indexFieldNames(elements) {
+    const counts = new Map();
+    const occurrences = new Map();
+
+    elements.forEach((element) => {
+      const name = getFieldName(element);
+      if (!name || element.type === 'radio') return;
+
+      const count = counts.get(name) || 0;
+      occurrences.set(element, count);
+      counts.set(name, count + 1);
+    });
+
+    return {
+      isMultiple: (name) => name.endsWith('[]') || (counts.get(name) || 0) > 1,
+      count: (name) => counts.get(name) || 0,
+      occurrence: (element) => occurrences.get(element) || 0
+    };
+  }
+
+  /**
+   * Where a control's value lives in `draft.fields`.
+   * @param {HTMLElement} element
+   * @param {ReturnType<typeof indexFieldNames>} names
+   * @returns {{path: string[], isCheckboxList: boolean}|null} For a checkbox list,
+   *   path points at the array of checked values. null for an unsafe name.
+   */
+  function getFieldPath(element, names) {
+    const name = getFieldName(element);
+    const segments = parseFieldName(name);
+    if (segments.some((segment) => UNSAFE_PATH_SEGMENTS.includes(segment))) return null;
+
+    const occurrence = String(names.occurrence(element));
+    const multiple = names.isMultiple(name);
+
+    // A lone <select multiple name="tags[]"> already holds the whole list.
+    if (element.type === 'select-multiple' && names.count(name) === 1 && segments[segments.length - 1] === '') {
+      return { path: segments.slice(0, -1), isCheckboxList: false };
+    }
+
+    let path = segments.map((segment) => (segment === '' ? occurrence : segment));
+    if (multiple && !segments.includes('')) {
+      path.push(occurrence);
+    }
+
+    const isCheckboxList = multiple && element.type === 'checkbox';
+    if (isCheckboxList) {
+      path = path.slice(0, -1);
+    }
+
+    return { path, isCheckboxList };
+  }
+
+  /**
+   * Store a control's value into `fields`, creating nested arrays/objects.
+   * @param {Object} fields
+   * @param {HTMLElement} element
+   * @param {unknown} value Value read by the field adapter.
+   * @param {ReturnType<typeof indexFieldNames>} names
+   */
+  function setDraftValue(fields, element, value, names) {
+    const fieldPath = getFieldPath(element, names);
+    if (!fieldPath) return;
+
+    const { path, isCheckboxList } = fieldPath;
+
+    let container = fields;
+    for (let i = 0; i < path.length; i++) {
+      const key = path[i];
+      const isLast = i === path.length - 1;
+
+      if (isLast && !isCheckboxList) {
+        container[key] = value;
+        return;
+      }
+
+      if (container[key] === null || typeof container[key] !== 'object') {
+        const nextKey = path[i + 1];
+        container[key] = isLast || /^\d+$/.test(nextKey) ? [] : {};
+      }
+      container = container[key];
+    }
+
+    // An unchecked box still creates the (possibly empty) list, so that
+    // restoring unchecks it.
+    if (Array.isArray(container) && element.checked) {
+      container.push(element.value);
+    }
+  }
+
+  /**
+   * Value to write into a control, or undefined when the draft has none.
+   * @param {Object} fields
+   * @param {HTMLElement} element
+   * @param {ReturnType<typeof indexFieldNames>} names
+   * @returns {unknown}
+   */
+  function getDraftValue(fields, element, names) {
+    const fieldPath = getFieldPath(element, names);
+    if (!fieldPath) return undefined;
+
+    const { path, isCheckboxList } = fieldPath;
+    const name = getFieldName(element);
+    const hasFlatKey = Object.prototype.hasOwnProperty.call(fields, name);
+
+    // A bracketed name only has a flat key in older drafts.
+    if (hasFlatKey && path[0] !== name) {
+      return fields[name];
+    }
+
+    let value = fields;
+    for (const key of path) {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+        // Older drafts kept a single value for repeated plain names.
+        return hasFlatKey ? fields[name] : undefined;
+      }
+      value = value[key];
+    }
+
+    if (isCheckboxList) {
+      if (Array.isArray(value)) return value.map(String).includes(element.value);
+      return typeof value === 'boolean' ? value : undefined;
+    }
+
+    return value;
+  }
+
+  // src/core/savior-core.js
+
+
+  // Core autosave logic for Savior.
+  //
+  // Depends on a driver exposing:
+  //   - save(formId, draft)
+  //   - load(formId)
+  //   - clear(formId)
+  // Each method may return its result directly or as a Promise.
+  // Optionally, listFormIds() enumerates stored drafts (used by Savior.purgeExpired)
+  // and getUsage() reports { keys, bytes } stored under the driver prefix.
+  // A save that can't fit throws a StorageQuotaError, reported as "savior:error".
+  //
+  // draft schema:
+  // {
+  //   formId: string,
+  //   timestampUtc: string, // ISO 8601
+  //   schemaVersion: number, // version of the form that wrote it (see draft-migrations)
+  //   submittedUtc?: string, // ISO 8601, set while a submission awaits confirmation
+  //   wizard?: { // multi-step forms only (see wizard-steps)
+  //     currentStep: string | null,
+  //     completedSteps: string[],
+  //     validity: { [step: string]: boolean }
+  //   },
+  //   fields: {
+  //     [fieldName: string]: unknown // arrays / nested objects for repeated and bracketed names (see field-names)
+  //   }
+  // }
+
+  /**
+   * Whether a draft is older than maxAgeMs.
+   * A draft with a missing or unparsable timestamp counts as expired.
+   *
+   * @param {Object} draft
+   * @param {number|null} maxAgeMs null disables expiry.
+   * @param {number} [now=Date.now()]
+   * @returns {boolean}
+   */
+  function isDraftExpired(draft, maxAgeMs, now = Date.now()) {
+    if (maxAgeMs === null || maxAgeMs === undefined) return false;
+
+    const time = Date.parse(draft?.timestampUtc);
+    return !Number.isFinite(time) || now - time > maxAgeMs;
+  }
+
+  /**
+   * Fire the events a user edit would, so page scripts that fill dependent
+   * options or reveal conditional sections react to a restored value.
+   * @param {HTMLElement} element
+   */
+  function dispatchFieldEvents(element) {
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * Whether a field reads back the value written to it (draft values are JSON).
+   * @param {unknown} actual
+   * @param {unknown} expected
+   * @returns {boolean}
+   */
+  function isSameFieldValue(actual, expected) {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+  }
+
+  // How long a restore keeps waiting for fields or options that the page
+  // builds asynchronously (see SaviorCore.retryMissingFields()).
+  const RESTORE_RETRY_MS = 5000;
+
+  // Upper bound on those retries, whatever the page does to the DOM.
+  const RESTORE_RETRY_ATTEMPTS = 20;
+
+  // Lifecycle event type -> callback option name.
+  const EVENT_CALLBACKS = {
+    restore: 'onRestore',
+    save: 'onSave',
+    clear: 'onClear',
+    error: 'onError'
+  };
+
+  class SaviorCore {
+    /**
+     * @param {Object} options
+     * @param {string} [options.selector='form[data-savior]'] CSS selector used to find forms.
+     * @param {Object} options.driver Storage driver (must implement save/load/clear).
+     * @param {number} [options.saveDelayMs=400] Debounce delay in ms for autosave.
+     * @param {number|null} [options.maxWaitMs=2000] Longest a change can wait while the user keeps
+     *   typing; null lets the debounce postpone saves indefinitely.
+     * @param {number} [options.historySize=10] Max snapshots kept per form (0 disables history).
+     * @param {number} [options.historyMaxAgeMs=604800000] Max age of a snapshot (default 7 days).
+     * @param {number} [options.historyIntervalMs=60000] Min delay between two snapshots of a form;
+     *   a save that deletes most of the form's content snapshots the previous draft right away.
+     * @param {number|null} [options.maxAgeMs=null] Drafts older than this are discarded instead of restored.
+     * @param {Array<string|RegExp>} [options.include=[]] If not empty, only matching fields are persisted.
+     * @param {Array<string|RegExp>} [options.exclude=[]] Matching fields are never persisted.
+     * @param {boolean} [options.skipSensitiveAutocomplete=true] Skip fields such as autocomplete="cc-number".
+     * @param {FieldAdapter[]} [options.adapters=[]] Instance adapters, tried before registered and built-in ones.
+     * @param {boolean} [options.sync=false] Merge drafts saved by other tabs into the live form.
+     * @param {boolean} [options.observe=false] Watch the DOM for forms and fields rendered after init().
+     * @param {number|Object<string, number>} [options.version=1] Schema version of the forms, or a
+     *   formId -> version map. A data-savior-version attribute on the form wins.
+     * @param {'confirm'|'immediate'} [options.clearOnSubmit='confirm'] "confirm" keeps the draft, marked
+     *   as submitted, until success is confirmed; "immediate" clears it as soon as the form submits.
+     * @param {string} [options.submitConfirmParam='sent'] Query parameter that confirms a successful
+     *   submission when the page loads with it (e.g. a "?sent" redirect).
+     * @param {boolean|Object} [options.prompt=false] Ask before restoring: shows a RestorePrompt banner
+     *   (object = RestorePrompt options) with Restore / Discard / Preview actions.
+     * @param {Function} [options.onRestore] Called with the "savior:restore" event detail.
+     * @param {Function} [options.onSave] Called with the "savior:save" event detail.
+     * @param {Function} [options.onClear] Called with the "savior:clear" event detail.
+     * @param {Function} [options.onError] Called with the "savior:error" event detail
+     *   ({ formId, form, operation, error }); error is a StorageQuotaError when storage is full.
+     * @param {Function} [options.beforeRestore] Called with { formId, form, draft } before a stored
+     *   draft is restored; return (or resolve) false to skip the restore.
+     * @param {boolean} [options.debug=false] Enable debug logs in console.
+     */
+    constructor(options) {
+      this.formSelector = options.selector || 'form[data-savior]';
+      this.driver = options.driver;
+      this.saveDelayMs = options.saveDelayMs ?? 400;
+      this.maxWaitMs = options.maxWaitMs === undefined ? 2000 : options.maxWaitMs;
+      this.historySize = options.historySize ?? 10;
+      this.historyMaxAgeMs = options.historyMaxAgeMs ?? 7 * 24 * 60 * 60 * 1000;
+      this.historyIntervalMs = options.historyIntervalMs ?? 60 * 1000;
+      this.maxAgeMs = options.maxAgeMs ?? null;
+      this.include = options.include ?? [];
+      this.exclude = options.exclude ?? [];
+      this.skipSensitiveAutocomplete = options.skipSensitiveAutocomplete ?? true;
+      this.adapters = options.adapters ?? [];
+      this.sync = options.sync ?? false;
+      this.observe = options.observe ?? false;
+      this.observer = null;
+      this.clearOnSubmit = options.clearOnSubmit ?? 'confirm';
+      this.version = options.version ?? DEFAULT_SCHEMA_VERSION;
+      this.submitConfirmParam = options.submitConfirmParam ?? 'sent';
+      this.prompt = options.prompt ?? false;
+
+      // Instance-wide listeners (page lifecycle), removed by destroy().
+      this.globalListeners = [];
+      this.callbacks = {
+        onRestore: options.onRestore,
+        onSave: options.onSave,
+        onClear: options.onClear,
+        onError: options.onError,
+        beforeRestore: options.beforeRestore
+      };
+      this.debug = options.debug ?? false;
+
+      // Per-form write queues: formId -> { tail: Promise, sequence: number }
+      this.writeQueues = new Map();
+
+      // Last saved draft per form, for history throttling:
+      // formId -> { draft: Object, size: number, snapshotMs: number|null }
+      this.historyMarks = new Map();
+
+      // Attached forms: formElement -> per-form state
+      // {
+      //   formId: string,
+      //   lastChangeUtc: string|null, // newest local edit, save or applied draft
+      //   saveTimeoutId: number|null, // pending debounced save
+      //   pendingSinceMs: number|null, // first unsaved change of the current burst (maxWaitMs)
+      //   listeners: Array<[EventTarget, string, Function]>, // removed on detach
+      //   channel: BroadcastChannel|null
+      // }
+      this.attachedForms = new Map();
+
+      // Identifies this instance in cross-tab sync messages.
+      this.instanceId = Math.random().toString(36).slice(2);
+      this.isDestroyed = false;
+    }
+
+    logDebug(...args) {
+      if (!this.debug) return;
+      logger.debug(...args);
+    }
+
+    logWarn(...args) {
+      if (!this.debug) return;
+      logger.warn(...args);
+    }
+
+    /**
+     * Dispatch a "savior:<type>" CustomEvent on the form and call the matching
+     * on<Type> callback option. detail always carries { formId, form }.
+     *
+     * Events: savior:restore, savior:save, savior:clear, savior:error,
+     * and the cancelable savior:beforerestore.
+     *
+     * @param {HTMLFormElement} formElement
+     * @param {string} type
+     * @param {Object} detail
+     * @param {boolean} [cancelable=false]
+     * @returns {boolean} false if a listener called preventDefault().
+     */
+    emit(formElement, type, detail, cancelable = false) {
+      const fullDetail = { ...detail, form: formElement };
+      const event = new CustomEvent(`savior:${type}`, {
+        bubbles: true,
+        cancelable,
+        detail: fullDetail
+      });
+      const notCanceled = formElement.dispatchEvent(event);
+
+      const callback = this.callbacks[EVENT_CALLBACKS[type]];
+      if (typeof callback === 'function') {
+        try {
+          callback(fullDetail);
+        } catch (err) {
+          this.logWarn(`${EVENT_CALLBACKS[type]} callback threw:`, err?.message || err);
+        }
+      }
+
+      return notCanceled;
+    }
+
+    /**
+     * emit() on every attached form with the given formId.
+     * @param {string} formId
+     * @param {string} type
+     * @param {Object} detail
+     */
+    emitForFormId(formId, type, detail) {
+      this.attachedForms.forEach((state, formElement) => {
+        if (state.formId === formId) {
+          this.emit(formElement, type, detail);
+        }
+      });
+    }
+
+    /**
+     * Call a driver method and normalize its outcome to a Promise.
+     * Synchronous throws and rejected promises both become rejections.
+     * @param {'save'|'load'|'clear'} method
+     * @param {string} formId
+     * @param {...unknown} args
+     * @returns {Promise<unknown>}
+     */
+    callDriver(method, formId, ...args) {
+      try {
+        return Promise.resolve(this.driver[method](formId, ...args));
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    }
+
+    /**
+     * @param {string} formId
+     * @returns {{ tail: Promise<boolean>, sequence: number }}
+     */
+    getWriteQueue(formId) {
+      let queue = this.writeQueues.get(formId);
+      if (!queue) {
+        queue = { tail: Promise.resolve(true), sequence: 0 };
+        this.writeQueues.set(formId, queue);
+      }
+      return queue;
+    }
+
+    /**
+     * Queue a driver write (save/clear) for a form.
+     *
+     * Writes for the same form run one at a time, in call order, so a slow
+     * older write can never land after a newer one. A write that is
+     * superseded by a newer one before it gets to run is skipped entirely.
+     *
+     * @param {string} formId
+     * @param {string} label Operation name used in logs (e.g. "save").
+     * @param {() => Promise<unknown>} task Performs the driver call(s).
+     * @returns {Promise<boolean>} Resolves true if the write ran and succeeded.
+     */
+    enqueueWrite(formId, label, task) {
+      const queue = this.getWriteQueue(formId);
+      const sequence = ++queue.sequence;
+
+      const run = async () => {
+        if (sequence !== queue.sequence) {
+          this.logDebug(`Skipping superseded ${label} for form "${formId}".`);
+          return false;
+        }
+
+        try {
+          await task();
+          return true;
+        } catch (err) {
+          this.logWarn(
+            `Driver.${label} failed for form "${formId}":`,
+            err?.message || err
+          );
+          this.emitForFormId(formId, 'error', { formId, operation: label, error: err });
+          return false;
+        }
+      };
+
+      // A throw while reporting the failure (logger, onError callback) must
+      // not reject the tail, or every later write for this form is skipped.
+      queue.tail = queue.tail.then(run).catch(() => false);
+      return queue.tail;
+    }
+
+    /**
+     * Discover all target forms and attach autosave wiring.
+     */
+    init() {
+      const forms = document.querySelectorAll(this.formSelector);
+      this.logDebug(
+        `Initializing on selector "${this.formSelector}", found ${forms.length} form(s).`
+      );
+
+      if (!this.driver) {
+        this.logWarn(
+          'No driver provided to SaviorCore. Initialization will be skipped.'
+        );
+        return;
+      }
+
+      forms.forEach((formElement) => this.attachToForm(formElement));
+      this.wirePageLifecycle();
+
+      if (this.observe) {
+        this.startObserving();
+      }
+    }
+
+    /**
+     * Flush pending saves when the page is hidden or being unloaded,
+     * so the last keystrokes before leaving aren't lost to the debounce.
+     */
+    wirePageLifecycle() {
+      const flushOnLeave = () => {
+        this.logDebug('Page hidden; flushing pending saves.');
+        this.flush();
+      };
+
+      const onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') flushOnLeave();
+      };
+
+      window.addEventListener('pagehide', flushOnLeave);
+      document.addEventListener('visibilitychange', onVisibilityChange);
+
+      this.globalListeners.push(
+        [window, 'pagehide', flushOnLeave],
+        [document, 'visibilitychange', onVisibilityChange]
+      );
+    }
+
+    /**
+     * Watch the document so that, after init():
+     * - new forms matching the selector are attached (and restored),
+     * - new named fields inside attached forms get their draft value,
+     * - attached forms removed from the DOM are detached.
+     */
+    startObserving() {
+      if (this.observer || typeof MutationObserver !== 'function') return;
+
+      this.observer = new MutationObserver((records) => this.handleMutations(records));
+      this.observer.observe(document.documentElement, { childList: true, subtree: true });
+      this.logDebug('Observing the document for new forms and fields.');
+    }
+
+    /**
+     * @param {MutationRecord[]} records
+     */
+    handleMutations(records) {
+      const newForms = new Set();
+      const newFieldsByForm = new Map();
+      let hasRemovals = false;
+
+      records.forEach((record) => {
+        if (record.removedNodes.length) hasRemovals = true;
+
+        record.addedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+          if (node.matches(this.formSelector)) newForms.add(node);
+          node.querySelectorAll(this.formSelector).forEach((form) => newForms.add(form));
+
+          this.attachedForms.forEach((state, formElement) => {
+            if (formElement === node || !formElement.contains(node)) return;
+
+            const fields = newFieldsByForm.get(formElement) || [];
+            if (getFieldName(node)) fields.push(node);
+            node.querySelectorAll('[name], [data-savior-name]').forEach((field) => fields.push(field));
+            newFieldsByForm.set(formElement, fields);
+          });
+        });
+      });
+
+      if (hasRemovals) {
+        this.attachedForms.forEach((state, formElement) => {
+          if (!formElement.isConnected) {
+            this.detachFromForm(formElement);
+          }
+        });
+      }
+
+      newForms.forEach((formElement) => {
+        if (formElement.isConnected && !this.attachedForms.has(formElement)) {
+          this.attachToForm(formElement);
+        }
+      });
+
+      newFieldsByForm.forEach((fields, formElement) => {
+        if (fields.length) {
+          this.restoreFields(formElement, fields);
+        }
+      });
+    }
+
+    /**
+     * Restore the stored draft into fields added to an already attached form.
+     * Only once the draft was accepted: a draft vetoed by beforeRestore, or
+     * still waiting in the prompt, must not leak in through late fields.
+     * @param {HTMLFormElement} formElement
+     * @param {HTMLElement[]} fields
+     * @returns {Promise<void>}
+     */
+    async restoreFields(formElement, fields) {
+      const state = this.attachedForms.get(formElement);
+      if (!state) return;
+
+      if (!state.restoreAccepted) {
+        this.logDebug(`Draft for form "${state.formId}" not restored; leaving new field(s) alone.`);
+        return;
+      }
+
+      let storedDraft = null;
+      try {
+        storedDraft = await this.callDriver('load', state.formId);
+      } catch (err) {
+        this.logWarn(`Driver.load failed for form "${state.formId}":`, err?.message || err);
+        return;
+      }
+
+      if (state.isDetached) return;
+      if (!storedDraft || !storedDraft.fields || isDraftExpired(storedDraft, this.maxAgeMs)) return;
+
+      storedDraft = await this.upgradeDraft(formElement, state.formId, storedDraft);
+      if (!storedDraft || state.isDetached) return;
+
+      this.logDebug(`Restoring ${fields.length} new field(s) in form "${state.formId}".`);
+      this.applyDraft(formElement, storedDraft, fields);
+    }
+
+    /**
+     * Attach autosave + restore + clear behavior to a single form.
+     * @param {HTMLFormElement} formElement
+     */
+    attachToForm(formElement) {
+      if (this.attachedForms.has(formElement)) return;
+
+      const formId = this.getFormId(formElement);
+      if (!formId) {
+        this.logWarn('Form without data-savior or id — skipping.', formElement);
+        return;
+      }
+
+      this.logDebug(`Attaching to form "${formId}".`);
+      this.attachedForms.set(formElement, {
+        formId,
+        lastChangeUtc: null,
+        saveTimeoutId: null,
+        pendingSinceMs: null,
+        listeners: [],
+        channel: null,
+        isRestoring: false,
+        isDetached: false, // set by detachFromForm(); pending restores check it
+        restoreAccepted: false, // the stored draft was applied, or replaced by our own save
+        prompt: null,
+        currentStep: getCurrentStep(formElement),
+        completedSteps: [],
+        stepObserver: null,
+        restoreRetry: null,
+        lastSaveUtc: null
+      });
+      this.restoreForm(formElement, formId);
+      this.wireInputEvents(formElement, formId);
+      this.wireSteps(formElement, formId);
+      this.wireSubmitEvent(formElement, formId);
+
+      if (this.sync) {
+        this.wireSync(formElement, formId);
+      }
+    }
+
+    /**
+     * Add an event listener that detachFromForm() will remove.
+     * @param {HTMLFormElement} formElement Attached form owning the listener.
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {Function} handler
+     */
+    listen(formElement, target, type, handler) {
+      const state = this.attachedForms.get(formElement);
+      if (!state) return;
+
+      target.addEventListener(type, handler);
+      state.listeners.push([target, type, handler]);
+    }
+
+    /**
+     * Stop watching a form: remove its listeners, close its sync channel and
+     * cancel its pending debounced save. The stored draft is left untouched.
+     *
+     * @param {HTMLFormElement} formElement
+     * @param {Object} [options]
+     * @param {boolean} [options.flush=true] Save pending changes before detaching.
+     * @returns {Promise<void>} Resolves once the flushed save (if any) is written.
+     */
+    async detachFromForm(formElement, { flush = true } = {}) {
+      const state = this.attachedForms.get(formElement);
+      if (!state) return;
+
+      // Restores still waiting on the driver (or the page) must not write
+      // into the form or fire events once it's detached, even if it's
+      // attached again with a new state.
+      state.isDetached = true;
+
+      const flushed = flush ? this.flush(formElement) : Promise.resolve();
+      this.cancelPendingSave(state);
+
+      state.listeners.forEach(([target, type, handler]) => {
+        target.removeEventListener(type, handler);
+      });
+      state.listeners = [];
+
+      if (state.channel) {
+        state.channel.close();
+        state.channel = null;
+      }
+
+      if (state.prompt) {
+        state.prompt.remove();
+        state.prompt = null;
+      }
+
+      if (state.stepObserver) {
+        state.stepObserver.disconnect();
+        state.stepObserver = null;
+      }
+
+      this.stopRestoreRetry(state);
+
+      this.attachedForms.delete(formElement);
+      this.logDebug(`Detached from form "${state.formId}".`);
+
+      await flushed;
+    }
+
+    /**
+     * Detach from every form. The instance can't be used afterwards.
+     * @param {Object} [options] See detachFromForm().
+     * @returns {Promise<void>}
+     */
+    async destroy(options = {}) {
+      const forms = Array.from(this.attachedForms.keys());
+      this.isDestroyed = true;
+
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+      }
+
+      this.globalListeners.forEach(([target, type, handler]) => {
+        target.removeEventListener(type, handler);
+      });
+      this.globalListeners = [];
+
+      await Promise.all(forms.map((formElement) => this.detachFromForm(formElement, options)));
+      this.logDebug('Destroyed.');
+    }
+
+    /**
+     * Save pending (debounced) changes right away.
+     * @param {HTMLFormElement} [formElement] Defaults to every attached form.
+     * @returns {Promise<void>} Resolves once those saves are written.
+     */
+    async flush(formElement) {
+      const forms = formElement ? [formElement] : Array.from(this.attachedForms.keys());
+
+      await Promise.all(forms.map((form) => {
+        const state = this.attachedForms.get(form);
+        if (!state || state.saveTimeoutId === null) {
+          return state ? this.getWriteQueue(state.formId).tail : null;
+        }
+
+        this.cancelPendingSave(state);
+        this.logDebug(`Flushing pending save for form "${state.formId}".`);
+        return this.saveForm(form, state.formId);
+      }));
+    }
+
+    /**
+     * @param {Object} state Per-form state.
+     */
+    cancelPendingSave(state) {
+      if (state.saveTimeoutId !== null) {
+        clearTimeout(state.saveTimeoutId);
+        state.saveTimeoutId = null;
+      }
+      state.pendingSinceMs = null;
+    }
+
+    /**
+     * Derive a stable identifier for the form.
+     * Priority: data-savior > id > null.
+     * @param {HTMLFormElement} formElement
+     * @returns {string|null}
+     */
+    getFormId(formElement) {
+      return (
+        formElement.getAttribute('data-savior') ||
+        formElement.id ||
+        null
+      );
+    }
+
+    /**
+     * Adapters in lookup order: instance adapters, then the shared chain.
+     * Resolved on each call so adapters registered after init() are used.
+     * @returns {FieldAdapter[]}
+     */
+    getAdapters() {
+      const chain = getAdapterChain();
+      return this.adapters.length ? [...this.adapters, ...chain] : chain;
+    }
+
+    /**
+     * Decide whether a field takes part in saving and restoring.
+     *
+     * Never persisted: passwords, fields inside [data-savior-ignore],
+     * fields matching an "exclude" rule.
+     * When "include" rules exist, only matching fields are persisted; an explicit
+     * include also overrides the sensitive-autocomplete heuristic.
+     *
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     */
+    shouldPersistField(element) {
+      if (!getFieldName(element)) return false;
+
+      // Do not persist passwords.
+      if (element.type === 'password') return false;
+
+      if (element.closest('[data-savior-ignore]')) return false;
+
+      if (this.exclude.some((rule) => matchesFieldRule(element, rule))) return false;
+
+      if (this.include.length) {
+        return this.include.some((rule) => matchesFieldRule(element, rule));
+      }
+
+      return !(this.skipSensitiveAutocomplete && hasSensitiveAutocomplete(element));
+    }
+
+    /**
+     * Restore a saved draft (if any) into all compatible fields of the form.
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     * @returns {Promise<void>}
+     */
+    async restoreForm(formElement, formId) {
+      const state = this.attachedForms.get(formElement);
+      if (!state) return;
+
+      const queue = this.getWriteQueue(formId);
+      const sequenceAtLoad = queue.sequence;
+
+      let storedDraft = null;
+      try {
+        storedDraft = await this.callDriver('load', formId);
+      } catch (err) {
+        this.logWarn(`Driver.load failed for form "${formId}":`, err?.message || err);
+        if (!state.isDetached) {
+          this.emit(formElement, 'error', { formId, operation: 'load', error: err });
+        }
+        return; // ne pas tenter de restore
+      }
+
+      // Detached (destroy(), observed removal) while the driver was loading.
+      if (state.isDetached) return;
+
+      if (!storedDraft || !storedDraft.fields) {
+        this.logDebug(`No draft found for form "${formId}".`);
+        return;
+      }
+
+      if (storedDraft.submittedUtc && this.isSubmitConfirmedByUrl()) {
+        this.logDebug(`Submission of form "${formId}" confirmed by the URL; clearing its draft.`);
+        if (queue.sequence === sequenceAtLoad) {
+          this.enqueueWrite(formId, 'clear', async () => {
+            await this.clearStoredDraft(formId);
+            this.emit(formElement, 'clear', { formId, reason: 'confirmed' });
+          });
+        }
+        return;
+      }
+
+      if (isDraftExpired(storedDraft, this.maxAgeMs)) {
+        this.logDebug(`Draft for form "${formId}" has expired; discarding it.`);
+        if (queue.sequence === sequenceAtLoad) {
+          this.enqueueWrite(formId, 'clear', async () => {
+            await this.clearStoredDraft(formId);
+            this.emit(formElement, 'clear', { formId, reason: 'expired' });
+          });
+        }
+        return;
+      }
+
+      // The user already edited (or submitted) the form while the driver was loading:
+      // their live input is newer than the stored draft.
+      if (queue.sequence !== sequenceAtLoad) {
+        this.logDebug(`Form "${formId}" changed while loading; skipping restore.`);
+        return;
+      }
+
+      storedDraft = await this.upgradeDraft(formElement, formId, storedDraft);
+      if (!storedDraft || state.isDetached) return;
+
+      if (!(await this.confirmRestore(formElement, formId, storedDraft))) {
+        this.logDebug(`Restore of form "${formId}" canceled by the page.`);
+        return;
+      }
+      if (state.isDetached) return;
+
+      // Same check again: the page may have asked the user, who typed meanwhile.
+      if (queue.sequence !== sequenceAtLoad) {
+        this.logDebug(`Form "${formId}" changed while confirming; skipping restore.`);
+        return;
+      }
+
+      if (this.prompt) {
+        await this.promptRestore(formElement, formId, storedDraft);
+        return;
+      }
+
+      this.logDebug(`Restoring draft for form "${formId}".`, storedDraft);
+      state.restoreAccepted = true;
+      this.applyDraft(formElement, storedDraft);
+      this.restoreStep(formElement, formId, storedDraft);
+      this.markChanged(formElement, storedDraft.timestampUtc);
+      this.emit(formElement, 'restore', { formId, draft: storedDraft, source: 'storage' });
+    }
+
+    /**
+     * Show the restore banner and act on the visitor's choice. The draft is
+     * kept when the banner is dismissed (Escape, detach).
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     * @param {Object} draft
+     * @returns {Promise<void>}
+     */
+    async promptRestore(formElement, formId, draft) {
+      const state = this.attachedForms.get(formElement);
+      if (!state) return;
+
+      const queue = this.getWriteQueue(formId);
+      const sequenceAtPrompt = queue.sequence;
+
+      state.prompt = new RestorePrompt(this.prompt === true ? {} : this.prompt);
+      const choice = await state.prompt.show(formElement, draft);
+      state.prompt = null;
+
+      if (state.isDetached) return;
+
+      if (choice === 'restore') {
+        this.logDebug(`Restoring draft for form "${formId}" (accepted in the prompt).`, draft);
+        state.restoreAccepted = true;
+        this.applyDraft(formElement, draft);
+        this.restoreStep(formElement, formId, draft);
+        this.markChanged(formElement, draft.timestampUtc);
+        this.emit(formElement, 'restore', { formId, draft, source: 'prompt' });
+
+        // Saves made while the banner was shown replaced the stored draft.
+        if (queue.sequence !== sequenceAtPrompt) {
+          this.saveForm(formElement, formId);
+        }
+      } else if (choice === 'discard') {
+        // Typing while the banner was shown already replaced the draft; keep that one.
+        if (queue.sequence !== sequenceAtPrompt) return;
+
+        this.logDebug(`Draft for form "${formId}" discarded in the prompt.`);
+        this.enqueueWrite(formId, 'clear', async () => {
+          await this.clearStoredDraft(formId);
+          this.emit(formElement, 'clear', { formId, reason: 'discarded' });
+        });
+      }
+    }
+
+    /**
+     * Schema version of a form: data-savior-version attribute, else the
+     * version option (number or formId map), else 1.
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     * @returns {number}
+     */
+    getFormVersion(formElement, formId) {
+      const attributeVersion = Number(formElement.getAttribute('data-savior-version'));
+      if (Number.isInteger(attributeVersion) && attributeVersion >= 1) {
+        return attributeVersion;
+      }
+
+      if (Number.isInteger(this.version)) {
+        return this.version;
+      }
+
+      return Number.isInteger(this.version?.[formId]) ? this.version[formId] : DEFAULT_SCHEMA_VERSION;
+    }
+
+    /**
+     * Run registered migrations so a stored draft matches the form's version.
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     * @param {Object} draft
+     * @returns {Promise<Object|null>} null when the draft can't be upgraded.
+     */
+    async upgradeDraft(formElement, formId, draft) {
+      const targetVersion = this.getFormVersion(formElement, formId);
+      const draftVersion = getDraftSchemaVersion(draft);
+      if (draftVersion === targetVersion) return draft;
+
+      try {
+        const upgraded = await migrateDraft(formId, draft, targetVersion);
+        if (upgraded) {
+          this.logDebug(`Migrated draft for form "${formId}" from v${draftVersion} to v${targetVersion}.`);
+        } else {
+          this.logDebug(`No migration from v${draftVersion} to v${targetVersion} for form "${formId}"; ignoring draft.`);
+        }
+        return upgraded;
+      } catch (err) {
+        this.logWarn(`Migration failed for form "${formId}":`, err?.message || err);
+        this.emit(formElement, 'error', { formId, operation: 'migrate', error: err });
+        return null;
+      }
+    }
+
+    /**
+     * Give the page a chance to veto a restore: the cancelable
+     * "savior:beforerestore" event first, then the beforeRestore option.
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     * @param {Object} draft
+     * @returns {Promise<boolean>}
+     */
+    async confirmRestore(formElement, formId, draft) {
+      if (!this.emit(formElement, 'beforerestore', { formId, draft }, true)) {
+        return false;
+      }
+
+      if (typeof this.callbacks.beforeRestore !== 'function') {
+        return true;
+      }
+
+      try {
+        const allowed = await this.callbacks.beforeRestore({ formId, form: formElement, draft });
+        return allowed !== false;
+      } catch (err) {
+        this.logWarn('beforeRestore callback failed; skipping restore:', err?.message || err);
+        this.emit(formElement, 'error', { formId, operation: 'beforeRestore', error: err });
+        return false;
+      }
+    }
+
+    /**
+     * Record the time of the newest content known to be in the form.
+     * Used as the local side of last-writer-wins in cross-tab sync.
+     * @param {HTMLFormElement} formElement
+     * @param {string} timestampUtc
+     */
+    markChanged(formElement, timestampUtc) {
+      const state = this.attachedForms.get(formElement);
+      if (!state) return;
+
+      if (!state.lastChangeUtc || Date.parse(timestampUtc) > Date.parse(state.lastChangeUtc)) {
+        state.lastChangeUtc = timestampUtc;
+      }
+    }
+
+    /**
+     * Write a draft's field values into all compatible fields of the form.
+     *
+     * Each write fires input/change events, which may build a select's options
+     * or reveal a conditional group: fields that didn't exist yet, or didn't
+     * take their value, get a second pass once every other field is written.
+     * Savior's own autosave ignores the events it fires here.
+     *
+     * @param {HTMLFormElement} formElement
+     * @param {Object} draft
+     * @param {ArrayLike<HTMLElement>|null} [elements=null] Restrict to these fields.
+     */
+    applyDraft(formElement, draft, elements = null) {
+      const state = this.attachedForms.get(formElement);
+      if (state) state.isRestoring = true;
+
+      try {
+        const firstPass = this.writeFields(formElement, elements || getFormFields(formElement), draft.fields);
+
+        // Draft keys without any field yet; a restricted restore only retries its own fields.
+        const unseenKeys = elements
+          ? []
+          : Object.keys(draft.fields).filter((key) => !firstPass.seenKeys.has(key));
+        if (!firstPass.failed.size && !unseenKeys.length) return;
+
+        const secondPass = this.writeFields(
+          formElement,
+          getFormFields(formElement).filter((element) => {
+            const name = getFieldName(element);
+            return firstPass.failed.has(name) || unseenKeys.includes(name) || unseenKeys.includes(parseFieldName(name)[0]);
+          }),
+          draft.fields
+        );
+        const missing = [
+          ...secondPass.failed,
+          ...unseenKeys.filter((key) => !secondPass.seenKeys.has(key))
+        ];
+        if (missing.length) {
+          this.logDebug(`Field(s) not restored yet in form "${draft.formId}":`, missing);
+          if (state) this.retryMissingFields(formElement, draft, missing);
+        }
+      } finally {
+        if (state) state.isRestoring = false;
+      }
+    }
+
+    /**
+     * Keep restoring fields that applyDraft() couldn't fill, for fields and
+     * options the page builds asynchronously (fetch, timers, re-renders): on
+     * the next task, then after each change to the form's DOM, for at most
+     * RESTORE_RETRY_MS and RESTORE_RETRY_ATTEMPTS. A field the user edits
+     * meanwhile is left alone. Retries only fire input/change for values that
+     * took, and ignore the DOM changes made by their own writes, so a value
+     * that can never apply doesn't keep the page's handlers busy.
+     *
+     * @param {HTMLFormElement} formElement
+     * @param {Object} draft
+     * @param {string[]} missing Field names or draft keys still to restore.
+     */
+    retryMissingFields(formElement, draft, missing) {
+      const state = this.attachedForms.get(formElement);
+      this.stopRestoreRetry(state);
+
+      const retry = {
+        pending: new Set(missing),
+        attempts: 0,
+        observer: null,
+        timeoutId: null,
+        expireTimeoutId: null
+      };
+      state.restoreRetry = retry;
+
+      const run = () => {
+        retry.timeoutId = null;
+        if (state.restoreRetry !== retry) return;
+
+        const isPending = (name) => retry.pending.has(name) || retry.pending.has(parseFieldName(name)[0]);
+        const targets = getFormFields(formElement).filter((element) => isPending(getFieldName(element)));
+        if (!targets.length) return;
+
+        retry.attempts++;
+        state.isRestoring = true;
+        try {
+          const { failed } = this.writeFields(formElement, targets, draft.fields, { dispatchOnlyApplied: true });
+          targets.forEach((element) => {
+            const name = getFieldName(element);
+            if (failed.has(name)) return;
+            retry.pending.delete(name);
+            retry.pending.delete(parseFieldName(name)[0]);
+          });
+        } finally {
+          state.isRestoring = false;
+        }
+
+        // DOM changes made by these writes (and their synchronous handlers)
+        // aren't a reason to retry.
+        if (retry.observer) retry.observer.takeRecords();
+
+        if (!retry.pending.size) {
+          this.logDebug(`Late field(s) restored in form "${draft.formId}".`);
+          this.stopRestoreRetry(state);
+        } else if (retry.attempts >= RESTORE_RETRY_ATTEMPTS) {
+          this.logDebug(`Field(s) never restored in form "${draft.formId}":`, [...retry.pending]);
+          this.stopRestoreRetry(state);
+        }
+      };
+
+      // One retry per task, however many mutations (or events fired by the
+      // retry itself) happen in between.
+      const schedule = () => {
+        if (retry.timeoutId === null) retry.timeoutId = setTimeout(run, 0);
+      };
+
+      if (typeof MutationObserver === 'function') {
+        retry.observer = new MutationObserver(schedule);
+        retry.observer.observe(formElement, { childList: true, subtree: true });
+      }
+      retry.expireTimeoutId = setTimeout(() => {
+        if (retry.pending.size) {
+          this.logDebug(`Field(s) never restored in form "${draft.formId}":`, [...retry.pending]);
+        }
+        this.stopRestoreRetry(state);
+      }, RESTORE_RETRY_MS);
+      schedule();
+    }
+
+    /**
+     * @param {Object} state Per-form state.
+     */
+    stopRestoreRetry(state) {
+      const retry = state.restoreRetry;
+      if (!retry) return;
+
+      if (retry.observer) retry.observer.disconnect();
+      clearTimeout(retry.timeoutId);
+      clearTimeout(retry.expireTimeoutId);
+      state.restoreRetry = null;
+    }
+
+    /**
+     * One restore pass over the given fields.
+     * @param {HTMLFormElement} formElement
+     * @param {ArrayLike<HTMLElement>} elements
+     * @param {Object} fields Draft field values (see field-names).
+     * @param {Object} [options]
+     * @param {boolean} [options.dispatchOnlyApplied=false] Fire input/change only for fields
+     *   that read back their value (retries); by default every written field fires them.
+     * @returns {{failed: Set<string>, seenKeys: Set<string>}} Names of the fields that didn't
+     *   read back their saved value, and the draft keys (names and base names) that have a field.
+     */
+    writeFields(formElement, elements, fields, { dispatchOnlyApplied = false } = {}) {
+      const seenKeys = new Set();
+      const controls = this.getPersistedControls(elements);
+      if (!controls.length) {
+        return { failed: new Set(), seenKeys };
+      }
+
+      // Positions of repeated names are counted over the whole form.
+      const names = indexFieldNames(this.getPersistedControls(getFormFields(formElement)).map(({ element }) => element));
+
+      // Radios share a name: one of them reading back the value is enough.
+      const attempted = new Map();
+      const applied = new Set();
+
+      controls.forEach(({ element, adapter }) => {
+        const name = getFieldName(element);
+        seenKeys.add(name);
+        seenKeys.add(parseFieldName(name)[0]);
+
+        const savedValue = getDraftValue(fields, element, names);
+        if (savedValue === undefined) return;
+
+        adapter.writeValue(element, savedValue);
+        if (!dispatchOnlyApplied) dispatchFieldEvents(element);
+
+        const key = element.type === 'radio' ? name : element;
+        attempted.set(key, name);
+        if (isSameFieldValue(adapter.readValue(element), savedValue)) {
+          applied.add(key);
+          if (dispatchOnlyApplied) dispatchFieldEvents(element);
+        }
+      });
+
+      const failed = new Set();
+      attempted.forEach((name, key) => {
+        if (!applied.has(key)) failed.add(name);
+      });
+
+      return { failed, seenKeys };
+    }
+
+    /**
+     * Named fields that Savior saves and restores, with their adapter.
+     * @param {ArrayLike<HTMLElement>} elements
+     * @returns {Array<{element: HTMLElement, adapter: FieldAdapter}>}
+     */
+    getPersistedControls(elements) {
+      const adapters = this.getAdapters();
+      const controls = [];
+
+      Array.from(elements || []).forEach((element) => {
+        if (!getFieldName(element) || !this.shouldPersistField(element)) return;
+
+        const adapter = getFieldAdapterForElement(element, adapters);
+        if (adapter) controls.push({ element, adapter });
+      });
+
+      return controls;
+    }
+
+    /**
+     * Bring a multi-step form back to the step saved in the draft. The page's
+     * wizard can cancel "savior:steprestore" to switch steps itself.
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     * @param {Object} draft
+     */
+    restoreStep(formElement, formId, draft) {
+      const state = this.attachedForms.get(formElement);
+      if (!state || !draft.wizard) return;
+
+      const { currentStep, completedSteps, validity } = draft.wizard;
+      state.completedSteps = completedSteps.slice();
+
+      const detail = { formId, step: currentStep, completedSteps, validity };
+      if (!this.emit(formElement, 'steprestore', detail, true)) return;
+
+      if (currentStep && showStep(formElement, currentStep)) {
+        this.logDebug(`Restored form "${formId}" to step "${currentStep}".`);
+        // Set now so the step observer doesn't count this as navigation.
+        state.currentStep = currentStep;
+      }
+    }
+
+    /**
+     * Apply a draft to every attached form with the given formId.
+     * Used when a draft is replaced from outside (e.g. Savior.restoreDraft).
+     * @param {string} formId
+     * @param {Object} draft
+     * @param {string} [source='external'] Reported in the "savior:restore" event.
+     */
+    applyDraftToAttachedForms(formId, draft, source = 'external') {
+      this.attachedForms.forEach(async (state, formElement) => {
+        if (state.formId !== formId) return;
+
+        const upgradedDraft = await this.upgradeDraft(formElement, formId, draft);
+        if (!upgradedDraft || state.isDetached) return;
+
+        this.logDebug(`Applying replaced draft to form "${formId}".`);
+        state.restoreAccepted = true;
+        this.applyDraft(formElement, upgradedDraft);
+        this.restoreStep(formElement, formId, upgradedDraft);
+        this.markChanged(formElement, upgradedDraft.timestampUtc);
+        this.emit(formElement, 'restore', { formId, draft: upgradedDraft, source });
+      });
+    }
+
+    /**
+     * Wire input/change events to trigger debounced autosave (capped by maxWaitMs).
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     */
+    wireInputEvents(formElement, formId) {
+      const state = this.attachedForms.get(formElement);
+
+      const scheduleSave = (event) => {
+        // Events fired by applyDraft() aren't user edits.
+        if (state.isRestoring) return;
+
+        // Don't overwrite the user's choice with a late restore.
+        if (state.restoreRetry) {
+          state.restoreRetry.pending.delete(getFieldName(event.target));
+        }
+        this.scheduleSave(formElement, formId);
+      };
+
+      this.listen(formElement, formElement, 'input', scheduleSave);
+      this.listen(formElement, formElement, 'change', scheduleSave);
+    }
+
+    /**
+     * Debounced autosave of an attached form.
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     */
+    scheduleSave(formElement, formId) {
+      const state = this.attachedForms.get(formElement);
+      if (!state) return;
+
+      const now = Date.now();
+      this.markChanged(formElement, new Date(now).toISOString());
+
+      const pendingSinceMs = state.pendingSinceMs ?? now;
+      this.cancelPendingSave(state);
+      state.pendingSinceMs = pendingSinceMs;
+
+      // Debounce, but never past maxWaitMs after the first unsaved change.
+      const delay = this.maxWaitMs === null
+        ? this.saveDelayMs
+        : Math.max(0, Math.min(this.saveDelayMs, pendingSinceMs + this.maxWaitMs - now));
+
+      state.saveTimeoutId = setTimeout(() => {
+        state.saveTimeoutId = null;
+        state.pendingSinceMs = null;
+        this.logDebug(`Saving draft for form "${formId}" (debounced).`);
+        this.saveForm(formElement, formId);
+      }, delay);
+    }
+
+    /**
+     * Follow step changes of a multi-step form (see wizard-steps): moving on
+     * from a valid step marks it completed, and each change is autosaved.
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     */
+    wireSteps(formElement, formId) {
+      const state = this.attachedForms.get(formElement);
+      if (typeof MutationObserver !== 'function') return;
+
+      // Observed even without steps yet: they may be rendered later.
+      state.stepObserver = new MutationObserver(() => {
+        const currentStep = getCurrentStep(formElement);
+        if (currentStep === state.currentStep) return;
+
+        const containers = getStepContainers(formElement);
+        const steps = containers.map((container) => container.getAttribute(STEP_ATTRIBUTE));
+        const previousIndex = steps.indexOf(state.currentStep);
+
+        if (
+          previousIndex !== -1 &&
+          steps.indexOf(currentStep) > previousIndex &&
+          isStepValid(containers[previousIndex]) &&
+          !state.completedSteps.includes(state.currentStep)
+        ) {
+          state.completedSteps.push(state.currentStep);
+        }
+
+        this.logDebug(`Form "${formId}" moved to step "${currentStep}".`);
+        state.currentStep = currentStep;
+        this.scheduleSave(formElement, formId);
+      });
+      state.stepObserver.observe(formElement, { attributes: true, attributeFilter: ['hidden'], subtree: true });
+    }
+
+    /**
+     * Collect current values from all supported fields and persist the draft.
+     * Values are read synchronously; the driver write is queued (see enqueueWrite).
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     * @param {Object} [extra] Additional draft properties (e.g. submittedUtc).
+     * @returns {Promise<boolean>} Resolves true once the draft was written.
+     */
+    async saveForm(formElement, formId, extra = {}) {
+      const fields = {};
+      const elements = getFormFields(formElement);
+
+      if (!elements.length) {
+        return false;
+      }
+
+      const controls = this.getPersistedControls(elements);
+      const names = indexFieldNames(controls.map(({ element }) => element));
+
+      controls.forEach(({ element, adapter }) => {
+        const value = adapter.readValue(element);
+
+        // Convention: undefined = "nothing to save" (e.g. unchecked radio).
+        if (value === undefined) return;
+
+        setDraftValue(fields, element, value, names);
+      });
+
+      const state = this.attachedForms.get(formElement);
+      const wizard = readWizardState(formElement, state ? state.completedSteps : []);
+
+      const draft = {
+        formId,
+        timestampUtc: new Date().toISOString(),
+        schemaVersion: this.getFormVersion(formElement, formId),
+        ...extra,
+        ...(wizard && { wizard }),
+        fields
+      };
+
+      this.logDebug(`Persisting draft for form "${formId}".`, draft);
+      return this.enqueueWrite(formId, 'save', async () => {
+        await this.callDriver('save', formId, draft);
+        if (state) {
+          state.lastSaveUtc = draft.timestampUtc;
+          // The stored draft now holds this page's own input.
+          state.restoreAccepted = true;
+        }
+        try {
+          await this.recordHistory(formId, draft);
+        } catch (err) {
+          // The draft itself is stored: report the history failure on its own.
+          this.logWarn(`History update failed for form "${formId}":`, err?.message || err);
+          this.emitForFormId(formId, 'error', { formId, operation: 'history', error: err });
+        }
+        this.broadcastDraft(formElement, draft);
+        this.emit(formElement, 'save', { formId, draft });
+      });
+    }
+
+    /**
+     * Push a saved draft onto the form's bounded history ring.
+     * Runs inside the form's write queue, so read-modify-write is safe.
+     * @param {string} formId
+     * @param {Object} draft
+     * @returns {Promise<void>}
+     */
+    async recordHistory(formId, draft) {
+      if (this.historySize <= 0) return;
+
+      const now = Date.now();
+      const size = JSON.stringify(draft.fields).length;
+      const mark = this.historyMarks.get(formId);
+      this.historyMarks.set(formId, { draft, size, snapshotMs: mark ? mark.snapshotMs : null });
+
+      // Snapshot the content that was just deleted, and otherwise at most
+      // once per historyIntervalMs: every debounced save would rewrite the
+      // whole record, multiplying the storage used by large forms.
+      const pending = [];
+      if (mark && isLargeDeletion(mark.size, size)) {
+        pending.push(mark.draft);
+      }
+      if (!mark || mark.snapshotMs === null || now - mark.snapshotMs >= this.historyIntervalMs) {
+        pending.push(draft);
+      }
+      if (!pending.length) return;
+
+      const limits = {
+        historySize: this.historySize,
+        historyMaxAgeMs: this.historyMaxAgeMs
+      };
+      const historyId = getHistoryId(formId);
+      let record = pending.reduce(
+        (current, snapshot) => appendSnapshot(current, snapshot, limits),
+        await this.callDriver('load', historyId)
+      );
+
+      // Storage full even after evicting other histories: keep fewer
+      // snapshots rather than fail, down to the newest one.
+      for (;;) {
+        try {
+          await this.callDriver('save', historyId, record);
+          break;
+        } catch (error) {
+          if (!(error instanceof StorageQuotaError) || record.snapshots.length <= 1) throw error;
+          record = { ...record, snapshots: record.snapshots.slice(0, -1) };
+        }
+      }
+
+      const current = this.historyMarks.get(formId);
+      if (current) current.snapshotMs = now;
+    }
+
+    /**
+     * Opt-in cross-tab sync: listen for drafts saved by other tabs.
+     *
+     * Uses a BroadcastChannel named "savior:<formId>" when available, and
+     * otherwise falls back to "storage" events for drivers exposing
+     * getStorageKey() over localStorage.
+     *
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     */
+    wireSync(formElement, formId) {
+      const state = this.attachedForms.get(formElement);
+
+      if (typeof BroadcastChannel === 'function') {
+        state.channel = new BroadcastChannel(`savior:${formId}`);
+        state.channel.addEventListener('message', (event) => {
+          const message = event.data;
+          if (!message || message.sourceId === this.instanceId) return;
+          this.mergeIncomingDraft(formElement, formId, message.draft);
+        });
+        return;
+      }
+
+      if (typeof this.driver.getStorageKey !== 'function') {
+        this.logWarn(`Sync unavailable for form "${formId}": no BroadcastChannel and no storage key.`);
+        return;
+      }
+
+      const storageKey = this.driver.getStorageKey(formId);
+      this.listen(formElement, window, 'storage', async (event) => {
+        if (event.key !== storageKey || !event.newValue) return;
+
+        try {
+          this.mergeIncomingDraft(formElement, formId, await this.callDriver('load', formId));
+        } catch (err) {
+          this.logWarn(`Driver.load failed for form "${formId}":`, err?.message || err);
+        }
+      });
+    }
+
+    /**
+     * Tell other tabs about a draft this instance just saved.
+     * @param {HTMLFormElement} formElement
+     * @param {Object} draft
+     */
+    broadcastDraft(formElement, draft) {
+      const state = this.attachedForms.get(formElement);
+      if (!state?.channel) return;
+
+      try {
+        state.channel.postMessage({ sourceId: this.instanceId, draft });
+      } catch (err) {
+        this.logWarn(`Sync broadcast failed for form "${draft.formId}":`, err?.message || err);
+      }
+    }
+
+    /**
+     * Apply a draft coming from another tab, last writer wins on timestampUtc:
+     * it is ignored unless it is newer than anything typed or saved here.
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     * @param {Object|null} incomingDraft
+     * @returns {Promise<void>}
+     */
+    async mergeIncomingDraft(formElement, formId, incomingDraft) {
+      if (!incomingDraft || incomingDraft.formId !== formId || !incomingDraft.fields) return;
+
+      const incomingTime = Date.parse(incomingDraft.timestampUtc);
+      if (!Number.isFinite(incomingTime)) return;
+
+      // A tab running an older page may send an older schema.
+      const draft = await this.upgradeDraft(formElement, formId, incomingDraft);
+      if (!draft) return;
+
+      const state = this.attachedForms.get(formElement);
+      if (!state) return;
+
+      if (state.lastChangeUtc && incomingTime <= Date.parse(state.lastChangeUtc)) {
+        this.logDebug(`Ignoring older draft for form "${formId}" from another tab.`);
+        return;
+      }
+
+      this.logDebug(`Merging draft for form "${formId}" from another tab.`, draft);
+      state.restoreAccepted = true;
+      this.applyDraft(formElement, draft);
+      this.restoreStep(formElement, formId, draft);
+      state.lastChangeUtc = draft.timestampUtc;
+      this.emit(formElement, 'restore', { formId, draft, source: 'sync' });
+    }
+
+    /**
+     * On submit, either keep the draft marked as submitted until the submission
+     * is confirmed (clearOnSubmit "confirm"), or clear it (and its history) right away.
+     * Writes are queued behind any in-flight save, and supersede queued ones.
+     * @param {HTMLFormElement} formElement
+     * @param {string} formId
+     */
+    wireSubmitEvent(formElement, formId) {
+      this.listen(formElement, formElement, 'submit', () => {
+        // A debounced save firing afterwards would drop the marker or bring the draft back.
+        this.cancelPendingSave(this.attachedForms.get(formElement));
+
+        if (this.clearOnSubmit === 'confirm') {
+          this.logDebug(`Marking draft for form "${formId}" as submitted.`);
+          this.saveForm(formElement, formId, { submittedUtc: new Date().toISOString() });
+          return;
+        }
+
+        this.logDebug(`Clearing draft for form "${formId}" on submit.`);
+        this.enqueueWrite(formId, 'clear', async () => {
+          await this.clearStoredDraft(formId);
+          this.emit(formElement, 'clear', { formId, reason: 'submit' });
+        });
+      });
+    }
+
+    /**
+     * Whether the current URL carries the submitConfirmParam query parameter.
+     * @returns {boolean}
+     */
+    isSubmitConfirmedByUrl() {
+      if (!this.submitConfirmParam || typeof window === 'undefined') return false;
+      return new URLSearchParams(window.location.search).has(this.submitConfirmParam);
+    }
+
+    /**
+     * Confirm that a submission went through: clear the draft if it is still
+     * marked as submitted. A draft edited since the submit (no marker) is kept.
+     * @param {string} formId
+     * @returns {Promise<boolean>} Resolves true if the draft was cleared.
+     */
+    async confirmSubmitted(formId) {
+      let cleared = false;
+
+      await this.enqueueWrite(formId, 'clear', async () => {
+        const storedDraft = await this.callDriver('load', formId);
+        if (!storedDraft?.submittedUtc) return;
+
+        await this.clearStoredDraft(formId);
+        cleared = true;
+        this.emitForFormId(formId, 'clear', { formId, reason: 'confirmed' });
+      });
+
+      return cleared;
+    }
+
+    /**
+     * Remove the draft and its history from the driver.
+     * Call through enqueueWrite() to keep writes ordered.
+     * @param {string} formId
+     * @returns {Promise<void>}
+     */
+    async clearStoredDraft(formId) {
+      this.historyMarks.delete(formId);
+      await this.releaseStoredValues(formId);
+      await this.callDriver('clear', formId);
+      await this.callDriver('clear', getHistoryId(formId));
+    }
+
+    /**
+     * Pass the values saved for a form (draft and history) to the adapters
+     * implementing releaseValue(), e.g. so FileFieldAdapter deletes the files.
+     * Fields are matched to adapters through the attached form.
+     * @param {string} formId
+     * @returns {Promise<void>}
+     */
+    async releaseStoredValues(formId) {
+      const forms = [];
+      this.attachedForms.forEach((state, formElement) => {
+        if (state.formId === formId) forms.push(formElement);
+      });
+
+      for (const formElement of forms) {
+        const controls = this.getPersistedControls(getFormFields(formElement));
+        const releasing = controls.filter(({ adapter }) => typeof adapter.releaseValue === 'function');
+        if (!releasing.length) continue;
+
+        try {
+          const [draft, history] = await Promise.all([
+            this.callDriver('load', formId),
+            this.callDriver('load', getHistoryId(formId))
+          ]);
+          const names = indexFieldNames(controls.map(({ element }) => element));
+          const fieldSets = [draft, ...(Array.isArray(history?.snapshots) ? history.snapshots : [])]
+            .map((entry) => entry?.fields)
+            .filter(Boolean);
+
+          for (const fields of fieldSets) {
+            for (const { element, adapter } of releasing) {
+              const value = getDraftValue(fields, element, names);
+              if (value !== undefined) await adapter.releaseValue(value);
+            }
+          }
+        } catch (err) {
+          this.logWarn(`Failed to release stored values for form "${formId}":`, err?.message || err);
+        }
+      }
+    }
+  }
+
+  // src/drivers/storage-quota.js
+
+  // Quota helpers shared by the drivers.
+  // When a write doesn't fit, drivers evict entries under their own prefix
+  // and retry: history records first, then (for a draft write only) the
+  // oldest other drafts, by timestampUtc. If it still doesn't fit they throw
+  // a StorageQuotaError, which SaviorCore reports as "savior:error".
+
+  /**
+   * Thrown by a driver when a draft can't be stored even after eviction.
+   */
+  class StorageQuotaError extends Error {
+    /**
+     * @param {string} formId
+     * @param {{keys: number, bytes: number}} usage Usage under the driver prefix.
+     * @param {unknown} [cause] Original storage error.
+     */
+    constructor(formId, usage, cause) {
+      super(`Storage quota exceeded while saving draft for form "${formId}".`);
+      this.name = 'StorageQuotaError';
+      this.code = 'quota';
+      this.formId = formId;
+      this.usage = usage;
+      this.cause = cause;
+    }
+  }
+
+  /**
+   * Browsers disagree on how they report a full storage.
+   * @param {unknown} error
+   * @returns {boolean}
+   */
+  function isQuotaExceededError(error) {
+    if (!error) return false;
+
+    return (
+      error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 ||
+      error.code === 1014
+    );
+  }
+
+  /**
+   * Sort time of a stored entry; unreadable entries sort first so they are evicted first.
+   * @param {unknown} value Parsed draft or history record.
+   * @returns {number}
+   */
+  function getEvictionTime(value) {
+    const time = Date.parse(value?.timestampUtc);
+    return Number.isFinite(time) ? time : -Infinity;
+  }
+
+  /**
+   * Count keys and approximate bytes (UTF-16) stored under a prefix.
+   * @param {Storage} storage
+   * @param {string} prefix
+   * @returns {{keys: number, bytes: number}}
+   */
+  function getWebStorageUsage(storage, prefix) {
+    let keys = 0;
+    let bytes = 0;
+
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (!key || !key.startsWith(prefix)) continue;
+
+      keys++;
+      bytes += (key.length + (storage.getItem(key) || '').length) * 2;
+    }
+
+    return { keys, bytes };
+  }
+
+  /**
+   * @param {Array<[string, unknown]>} entries [storageKey, parsed value].
+   * @returns {string|null} Key of the entry with the oldest timestampUtc.
+   */
+  function findOldestKey(entries) {
+    let oldestKey = null;
+    let oldestTime = Infinity;
+
+    entries.forEach(([key, value]) => {
+      const time = getEvictionTime(value);
+      if (oldestKey === null || time < oldestTime) {
+        oldestTime = time;
+        oldestKey = key;
+      }
+    });
+
+    return oldestKey;
+  }
+
+  /**
+   * Choose what to evict so that keepKey fits. History records go first.
+   * Drafts are only evicted to make room for another draft: a history write
+   * must never cost a form its live draft.
+   * @param {Array<[string, unknown]>} entries [storageKey, parsed value] under the prefix.
+   * @param {string} keepKey Key being written.
+   * @returns {string|null} Key to evict, or null if nothing may be evicted.
+   */
+  function pickEvictionKey(entries, keepKey) {
+    const isHistoryKey = (key) => key.endsWith(HISTORY_SUFFIX);
+    const candidates = entries.filter(([key]) => key !== keepKey);
+
+    const historyKey = findOldestKey(candidates.filter(([key]) => isHistoryKey(key)));
+    if (historyKey !== null || isHistoryKey(keepKey)) return historyKey;
+
+    return findOldestKey(candidates.filter(([key]) => !isHistoryKey(key)));
+  }
+
+  /**
+   * Remove one entry under prefix (see pickEvictionKey()), never touching keepKey.
+   * @param {Storage} storage
+   * @param {string} prefix
+   * @param {string} keepKey
+   * @param {(raw: string) => unknown} parse
+   * @returns {string|null} The removed key, or null if nothing could be evicted.
+   */
+  function evictOldestWebStorageEntry(storage, prefix, keepKey, parse) {
+    const entries = [];
+
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (!key || !key.startsWith(prefix)) continue;
+
+      entries.push([key, parse(storage.getItem(key))]);
+    }
+
+    const evictedKey = pickEvictionKey(entries, keepKey);
+    if (evictedKey !== null) {
+      storage.removeItem(evictedKey);
+    }
+
+    return evictedKey;
+  }
+
+  /**
+   * setItem(), evicting the oldest entries under prefix while the quota is exceeded.
+   * @param {Storage} storage
+   * @param {string} prefix
+   * @param {string} formId
+   * @param {string} key
+   * @param {string} value
+   * @param {(raw: string) => unknown} parse
+   * @param {(...args: unknown[]) => void} logWarn
+   * @throws {StorageQuotaError} When the value can't fit even with nothing left to evict.
+   */
+  function setItemWithEviction(storage, prefix, formId, key, value, parse, logWarn) {
+    for (;;) {
+      try {
+        storage.setItem(key, value);
+        return;
+      } catch (error) {
+        if (!isQuotaExceededError(error)) throw error;
+
+        const evictedKey = evictOldestWebStorageEntry(storage, prefix, key, parse);
+        if (evictedKey === null) {
+          throw new StorageQuotaError(formId, getWebStorageUsage(storage, prefix), error);
+        }
+
+        logWarn(`Storage full: evicted "${evictedKey}".`);
+      }
+    }
+  }
+
+  // src/drivers/serializers.js
+
+  // A serializer turns a draft into the string a Web Storage driver stores, and back:
+  //   { name: string, serialize(value): string, deserialize(raw: string): unknown }
+  // Entries written by a serializer other than JSON are tagged "@<name>:", so a
+  // driver reads any built-in format (and the plain JSON written by older
+  // versions) whatever serializer it is configured with.
+
+  const SERIALIZER_TAG_PATTERN = /^@([\w-]+):/;
+
+  const JSONSerializer = Object.freeze({
+    name: 'json',
+    serialize: (value) => JSON.stringify(value),
+    deserialize: (raw) => JSON.parse(raw)
+  });
+
+  // Type tag used by StructuredSerializer; reserved in draft values.
+  const STRUCTURED_TYPE_KEY = '$savior';
+
+  /**
+   * JSON that keeps Dates, Maps and Sets (e.g. values of custom adapters).
+   */
+  const StructuredSerializer = Object.freeze({
+    name: 'structured',
+    serialize(value) {
+      return JSON.stringify(value, function replacer(key, replaced) {
+        // `replaced` already went through toJSON(): look at the original.
+        // Realm-safe type check (values may come from another frame).
+        const original = this[key];
+        switch (Object.prototype.toString.call(original)) {
+          case '[object Date]':
+            return { [STRUCTURED_TYPE_KEY]: 'Date', value: original.toISOString() };
+          case '[object Map]':
+            return { [STRUCTURED_TYPE_KEY]: 'Map', value: Array.from(original.entries()) };
+          case '[object Set]':
+            return { [STRUCTURED_TYPE_KEY]: 'Set', value: Array.from(original) };
+          default:
+            return replaced;
+        }
+      });
+    },
+    deserialize(raw) {
+      return JSON.parse(raw, (key, value) => {
+        if (!value || typeof value !== 'object' || typeof value[STRUCTURED_TYPE_KEY] !== 'string') {
+          return value;
+        }
+
+        switch (value[STRUCTURED_TYPE_KEY]) {
+          case 'Date': return new Date(value.value);
+          case 'Map': return new Map(value.value);
+          case 'Set': return new Set(value.value);
+          default: return value;
+        }
+      });
+    }
+  });
+
+  // LZW over code points; codes are packed into 15-bit characters (offset past
+  // the control characters) so the result never contains lone surrogates.
+  // Format: "<alphabet length>:<code count>:<alphabet><packed codes>".
+  const LZ_BITS_PER_CHAR = 15;
+  const LZ_CHAR_OFFSET = 32;
+
+  /**
+   * Bits needed to write any code below dictionarySize.
+   * @param {number} dictionarySize
+   * @returns {number}
+   */
+  function getCodeWidth(dictionarySize) {
+    return Math.max(1, Math.ceil(Math.log2(dictionarySize)));
+  }
+
+  /**
+   * @param {string} input
+   * @returns {string}
+   */
+  function lzCompress(input) {
+    const symbols = Array.from(input);
+    const alphabet = Array.from(new Set(symbols));
+    const dictionary = new Map(alphabet.map((symbol, index) => [symbol, index]));
+    const codes = [];
+
+    let current = '';
+    symbols.forEach((symbol) => {
+      const extended = current + symbol;
+      if (dictionary.has(extended)) {
+        current = extended;
+        return;
+      }
+
+      codes.push(dictionary.get(current));
+      dictionary.set(extended, dictionary.size);
+      current = symbol;
+    });
+    if (current !== '') {
+      codes.push(dictionary.get(current));
+    }
+
+    // Code i is written when the dictionary holds alphabet.length + i entries.
+    let packed = '';
+    let buffer = 0;
+    let bufferBits = 0;
+    codes.forEach((code, index) => {
+      for (let bit = getCodeWidth(alphabet.length + index) - 1; bit >= 0; bit--) {
+        buffer = (buffer << 1) | ((code >> bit) & 1);
+        if (++bufferBits === LZ_BITS_PER_CHAR) {
+          packed += String.fromCharCode(buffer + LZ_CHAR_OFFSET);
+          buffer = 0;
+          bufferBits = 0;
+        }
+      }
+    });
+    if (bufferBits) {
+      packed += String.fromCharCode((buffer << (LZ_BITS_PER_CHAR - bufferBits)) + LZ_CHAR_OFFSET);
+    }
+
+    const alphabetText = alphabet.join('');
+    return `${alphabetText.length}:${codes.length}:${alphabetText}${packed}`;
+  }
+
+  /**
+   * @param {string} compressed Output of lzCompress().
+   * @returns {string}
+   * @throws {Error} On malformed input.
+   */
+  function lzDecompress(compressed) {
+    const header = /^(\d+):(\d+):/.exec(compressed);
+    if (!header) throw new Error('Invalid compressed draft.');
+
+    const alphabetEnd = header[0].length + Number(header[1]);
+    const alphabet = Array.from(compressed.slice(header[0].length, alphabetEnd));
+    const packed = compressed.slice(alphabetEnd);
+    const codeCount = Number(header[2]);
+
+    let charIndex = 0;
+    let buffer = 0;
+    let bufferBits = 0;
+    const readCode = (width) => {
+      let code = 0;
+      for (let bit = 0; bit < width; bit++) {
+        if (bufferBits === 0) {
+          if (charIndex >= packed.length) throw new Error('Truncated compressed draft.');
+          buffer = packed.charCodeAt(charIndex++) - LZ_CHAR_OFFSET;
+          bufferBits = LZ_BITS_PER_CHAR;
+        }
+        bufferBits--;
+        code = (code << 1) | ((buffer >> bufferBits) & 1);
+      }
+      return code;
+    };
+
+    const dictionary = alphabet.slice();
+    const parts = [];
+    let previous = '';
+
+    for (let index = 0; index < codeCount; index++) {
+      const code = readCode(getCodeWidth(alphabet.length + index));
+
+      let entry;
+      if (code < dictionary.length) {
+        entry = dictionary[code];
+      } else if (code === dictionary.length && previous) {
+        // The code being defined right now: previous + its own first symbol.
+        entry = previous + String.fromCodePoint(previous.codePointAt(0));
+      } else {
+        throw new Error('Invalid compressed draft.');
+      }
+
+      if (previous) {
+        dictionary.push(previous + String.fromCodePoint(entry.codePointAt(0)));
+      }
+      parts.push(entry);
+      previous = entry;
+    }
+
+    return parts.join('');
+  }
+
+  /**
+   * JSON compressed with an LZ-style codec, for drafts with large textareas.
+   */
+  const LZStringSerializer = Object.freeze({
+    name: 'lz',
+    serialize: (value) => lzCompress(JSON.stringify(value)),
+    deserialize: (raw) => JSON.parse(lzDecompress(raw))
+  });
+
+  const BUILT_IN_SERIALIZERS = [JSONSerializer, StructuredSerializer, LZStringSerializer];
+
+  /**
+   * @param {unknown} serializer
+   * @returns {boolean}
+   */
+  function isSerializer(serializer) {
+    return (
+      !!serializer &&
+      typeof serializer.name === 'string' &&
+      /^[\w-]+$/.test(serializer.name) &&
+      typeof serializer.serialize === 'function' &&
+      typeof serializer.deserialize === 'function'
+    );
+  }
+
+  /**
+   * @param {Object} serializer
+   * @param {unknown} value
+   * @returns {string}
+   */
+  function serializeDraft(serializer, value) {
+    const raw = serializer.serialize(value);
+    return serializer.name === JSONSerializer.name ? raw : `@${serializer.name}:${raw}`;
+  }
+
+  /**
+   * Read a stored entry, whichever serializer wrote it.
+   * @param {Object} serializer The driver's serializer (may be a custom one).
+   * @param {string} raw
+   * @returns {unknown} null when the entry can't be read.
+   */
+  function deserializeDraft(serializer, raw) {
+    try {
+      const tag = SERIALIZER_TAG_PATTERN.exec(raw);
+      if (!tag) return JSONSerializer.deserialize(raw);
+
+      const name = tag[1];
+      const reader = serializer.name === name
+        ? serializer
+        : BUILT_IN_SERIALIZERS.find((builtIn) => builtIn.name === name);
+
+      return reader ? reader.deserialize(raw.slice(tag[0].length)) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Default driver using window.localStorage for persistence.
+
+  class LocalStorageDriver {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storageKeyPrefix='savior_draft_']
+     * @param {Object} [options.serializer=JSONSerializer] On-disk format (see serializers).
+     * @param {boolean} [options.debug=false]
+     */
+    constructor(options = {}) {
+      this.storageKeyPrefix = options.storageKeyPrefix || 'savior_draft_';
+      this.serializer = isSerializer(options.serializer) ? options.serializer : JSONSerializer;
+      this.debug = options.debug ?? false;
+      this.isStorageAvailable = this.checkStorageAvailable();
+    }
+
+    /**
+     * Centralise la génération de la clé de storage.
+     * Format: prefix + formId
+     * Exemple: "savior_draft_form-contact"
+     */
+    getStorageKey(formId) {
+      return `${this.storageKeyPrefix}${formId}`;
+    }
+
+    logWarn(...args) {
+      if (!this.debug) return;
+      logger.warn(...args);
+    }
+
+    checkStorageAvailable() {
+      try {
+        if (typeof window === 'undefined' || !window.localStorage) {
+          return false;
+        }
+
+        const testKey = '__savior_test__';
+        window.localStorage.setItem(testKey, '1');
+        window.localStorage.removeItem(testKey);
+        return true;
+      } catch (error) {
+        this.logWarn('localStorage not available:', error);
+        return false;
+      }
+    }
+
+    /**
+     * Quand le quota est atteint, évince les historiques puis les drafts les plus anciens
+     * du préfixe (jamais un draft pour écrire un historique) et réessaie; lève une
+     * StorageQuotaError si l'entrée ne rentre toujours pas.
+     */
+    save(formId, draft) {
+      if (!this.isStorageAvailable) return;
+
+      try {
+        const serializedDraft = serializeDraft(this.serializer, draft);
+        setItemWithEviction(
+          window.localStorage,
+          this.storageKeyPrefix,
+          formId,
+          this.getStorageKey(formId),
+          serializedDraft,
+          (raw) => deserializeDraft(this.serializer, raw),
+          (...args) => this.logWarn(...args)
+        );
+      } catch (error) {
+        if (error instanceof StorageQuotaError) throw error;
+        this.logWarn('Failed to save draft:', error);
+      }
+    }
+
+    /**
+     * Nombre de clés et taille approximative (octets) stockées sous le préfixe.
+     * @returns {{keys: number, bytes: number}}
+     */
+    getUsage() {
+      if (!this.isStorageAvailable) return { keys: 0, bytes: 0 };
+
+      try {
+        return getWebStorageUsage(window.localStorage, this.storageKeyPrefix);
+      } catch (error) {
+        this.logWarn('Failed to read storage usage:', error);
+        return { keys: 0, bytes: 0 };
+      }
+    }
+
+    load(formId) {
+      if (!this.isStorageAvailable) return null;
+
+      try {
+        const raw = window.localStorage.getItem(this.getStorageKey(formId));
+        if (!raw) return null;
+
+        return deserializeDraft(this.serializer, raw);
+      } catch (error) {
+        this.logWarn('Failed to load draft:', error);
+        return null;
+      }
+    }
+
+    clear(formId) {
+      if (!this.isStorageAvailable) return;
+
+      try {
+        window.localStorage.removeItem(this.getStorageKey(formId));
+      } catch (error) {
+        this.logWarn('Failed to clear draft:', error);
+      }
+    }
+
+    /**
+     * Liste les formId stockés sous le préfixe de ce driver.
+     * @returns {string[]}
+     */
+    listFormIds() {
+      if (!this.isStorageAvailable) return [];
+
+      const formIds = [];
+      try {
+        for (let i = 0; i < window.localStorage.length; i++) {
+          const key = window.localStorage.key(i);
+          if (key && key.startsWith(this.storageKeyPrefix)) {
+            formIds.push(key.slice(this.storageKeyPrefix.length));
+          }
+        }
+      } catch (error) {
+        this.logWarn('Failed to list drafts:', error);
+      }
+
+      return formIds;
+    }
+  }
+
+  // Default driver using window.sessionStorage for persistence.
+
+  class SessionStorageDriver {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storageKeyPrefix='savior_session_draft_']
+     * @param {Object} [options.serializer=JSONSerializer] On-disk format (see serializers).
+     * @param {boolean} [options.debug=false]
+     */
+    constructor(options = {}) {
+      this.storageKeyPrefix = options.storageKeyPrefix || 'savior_session_draft_';
+      this.serializer = isSerializer(options.serializer) ? options.serializer : JSONSerializer;
+      this.debug = options.debug ?? false;
+      this.isStorageAvailable = this.checkStorageAvailable();
+    }
+
+    /**
+     * Centralise la génération de la clé de storage.
+     * Format: prefix + formId
+     * Exemple: "savior_session_draft_form-contact"
+     */
+    getStorageKey(formId) {
+      return `${this.storageKeyPrefix}${formId}`;
+    }
+
+    logWarn(...args) {
+      if (!this.debug) return;
+      logger.warn(...args);
+    }
+
+    checkStorageAvailable() {
+      try {
+        if (typeof window === 'undefined' || !window.sessionStorage) {
+          return false;
+        }
+
+        const testKey = '__savior_session_test__';
+        window.sessionStorage.setItem(testKey, '1');
+        window.sessionStorage.removeItem(testKey);
+        return true;
+      } catch (error) {
+        this.logWarn('sessionStorage not available:', error);
+        return false;
+      }
+    }
+
+    /**
+     * Quand le quota est atteint, évince les historiques puis les drafts les plus anciens
+     * du préfixe (jamais un draft pour écrire un historique) et réessaie; lève une
+     * StorageQuotaError si l'entrée ne rentre toujours pas.
+     */
+    save(formId, draft) {
+      if (!this.isStorageAvailable) return;
+
+      try {
+        const serializedDraft = serializeDraft(this.serializer, draft);
+        setItemWithEviction(
+          window.sessionStorage,
+          this.storageKeyPrefix,
+          formId,
+          this.getStorageKey(formId),
+          serializedDraft,
+          (raw) => deserializeDraft(this.serializer, raw),
+          (...args) => this.logWarn(...args)
+        );
+      } catch (error) {
+        if (error instanceof StorageQuotaError) throw error;
+        this.logWarn('Failed to save draft to sessionStorage:', error);
+      }
+    }
+
+    /**
+     * Nombre de clés et taille approximative (octets) stockées sous le préfixe.
+     * @returns {{keys: number, bytes: number}}
+     */
+    getUsage() {
+      if (!this.isStorageAvailable) return { keys: 0, bytes: 0 };
+
+      try {
+        return getWebStorageUsage(window.sessionStorage, this.storageKeyPrefix);
+      } catch (error) {
+        this.logWarn('Failed to read sessionStorage usage:', error);
+        return { keys: 0, bytes: 0 };
+      }
+    }
+
+    load(formId) {
+      if (!this.isStorageAvailable) return null;
+
+      try {
+        const raw = window.sessionStorage.getItem(this.getStorageKey(formId));
+        if (!raw) return null;
+
+        return deserializeDraft(this.serializer, raw);
+      } catch (error) {
+        this.logWarn('Failed to load draft from sessionStorage:', error);
+        return null;
+      }
+    }
+
+    clear(formId) {
+      if (!this.isStorageAvailable) return;
+
+      try {
+        window.sessionStorage.removeItem(this.getStorageKey(formId));
+      } catch (error) {
+        this.logWarn('Failed to clear draft from sessionStorage:', error);
+      }
+    }
+
+    /**
+     * Liste les formId stockés sous le préfixe de ce driver.
+     * @returns {string[]}
+     */
+    listFormIds() {
+      if (!this.isStorageAvailable) return [];
+
+      const formIds = [];
+      try {
+        for (let i = 0; i < window.sessionStorage.length; i++) {
+          const key = window.sessionStorage.key(i);
+          if (key && key.startsWith(this.storageKeyPrefix)) {
+            formIds.push(key.slice(this.storageKeyPrefix.length));
+          }
+        }
+      } catch (error) {
+        this.logWarn('Failed to list drafts in sessionStorage:', error);
+      }
+
+      return formIds;
+    }
+  }
+
+  // Driver using IndexedDB for persistence.
+  // Unlike the Web Storage drivers, every method returns a Promise.
+
+  class IndexedDBDriver {
+    constructor(options = {}) {
+      this.databaseName = options.databaseName || 'savior';
+      this.storeName = options.storeName || 'drafts';
+      this.storageKeyPrefix = options.storageKeyPrefix || 'savior_draft_';
+      this.debug = options.debug ?? false;
+      this.isStorageAvailable = this.checkStorageAvailable();
+      this.databasePromise = null;
+    }
+
+    /**
+     * Centralise la génération de la clé de storage.
+     * Format: prefix + formId
+     * Exemple: "savior_draft_form-contact"
+     */
+    getStorageKey(formId) {
+      return `${this.storageKeyPrefix}${formId}`;
+    }
+
+    logWarn(...args) {
+      if (!this.debug) return;
+      logger.warn(...args);
     }
 
-    save(formId, draft) {
+    checkStorageAvailable() {
+      try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+      } catch (error) {
+        this.logWarn('indexedDB not available:', error);
+        return false;
+      }
+    }
+
+    /**
+     * Open (once) the database, creating the object store on first use.
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+      if (this.databasePromise) return this.databasePromise;
+
+      this.databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+
+        request.onupgradeneeded = () => {
+          const database = request.result;
+          if (!database.objectStoreNames.contains(this.storeName)) {
+            database.createObjectStore(this.storeName);
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+      }).catch((error) => {
+        // Allow a later call to retry instead of caching the failure.
+        this.databasePromise = null;
+        throw error;
+      });
+
+      return this.databasePromise;
+    }
+
+    /**
+     * Run a single request against the object store and resolve
+     * with its result once the transaction has completed.
+     *
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} makeRequest
+     * @returns {Promise<unknown>}
+     */
+    async runRequest(mode, makeRequest) {
+      const database = await this.openDatabase();
+
+      return new Promise((resolve, reject) => {
+        const transaction = database.transaction(this.storeName, mode);
+        const request = makeRequest(transaction.objectStore(this.storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+      });
+    }
+
+    /**
+     * Quand le quota est atteint, évince les historiques puis les drafts les plus anciens
+     * du préfixe (jamais un draft pour écrire un historique) et réessaie; lève une
+     * StorageQuotaError si l'entrée ne rentre toujours pas.
+     */
+    async save(formId, draft) {
       if (!this.isStorageAvailable) return;
 
+      const storageKey = this.getStorageKey(formId);
+
+      for (;;) {
+        try {
+          await this.runRequest('readwrite', (store) => store.put(draft, storageKey));
+          return;
+        } catch (error) {
+          if (!isQuotaExceededError(error)) {
+            this.logWarn('Failed to save draft to IndexedDB:', error);
+            return;
+          }
+
+          const evictedKey = await this.evictOldestEntry(storageKey);
+          if (evictedKey === null) {
+            throw new StorageQuotaError(formId, await this.getUsage(), error);
+          }
+
+          this.logWarn(`Storage full: evicted "${evictedKey}".`);
+        }
+      }
+    }
+
+    /**
+     * Supprime une entrée du préfixe, sauf keepKey: les historiques d'abord, puis
+     * (pour l'écriture d'un draft seulement) le draft le plus ancien.
+     * @param {string} keepKey
+     * @returns {Promise<string|null>} La clé supprimée, ou null.
+     */
+    async evictOldestEntry(keepKey) {
+      const evictedKey = pickEvictionKey(await this.getPrefixedEntries(), keepKey);
+
+      if (evictedKey !== null) {
+        await this.runRequest('readwrite', (store) => store.delete(evictedKey));
+      }
+
+      return evictedKey;
+    }
+
+    /**
+     * @returns {Promise<Array<[string, unknown]>>} [storageKey, value] sous le préfixe.
+     */
+    async getPrefixedEntries() {
+      const [keys, values] = await Promise.all([
+        this.runRequest('readonly', (store) => store.getAllKeys()),
+        this.runRequest('readonly', (store) => store.getAll())
+      ]);
+
+      return keys
+        .map((key, index) => [key, values[index]])
+        .filter(([key]) => typeof key === 'string' && key.startsWith(this.storageKeyPrefix));
+    }
+
+    /**
+     * Nombre de clés et taille approximative (octets, JSON UTF-16) stockées sous le préfixe.
+     * @returns {Promise<{keys: number, bytes: number}>}
+     */
+    async getUsage() {
+      if (!this.isStorageAvailable) return { keys: 0, bytes: 0 };
+
       try {
-        const serializedDraft = JSON.stringify(draft);
-        window.localStorage.setItem(this.getStorageKey(formId), serializedDraft);
+        const entries = await this.getPrefixedEntries();
+        const bytes = entries.reduce(
+          (total, [key, value]) => total + (key.length + (JSON.stringify(value) || '').length) * 2,
+          0
+        );
+        return { keys: entries.length, bytes };
       } catch (error) {
-        this.logWarn('Failed to save draft:', error);
+        this.logWarn('Failed to read IndexedDB usage:', error);
+        return { keys: 0, bytes: 0 };
       }
     }
 
-    load(formId) {
+    async load(formId) {
       if (!this.isStorageAvailable) return null;
 
       try {
-        const raw = window.localStorage.getItem(this.getStorageKey(formId));
-        if (!raw) return null;
-
-        return safeParse$1(raw);
+        const draft = await this.runRequest('readonly', (store) => store.get(this.getStorageKey(formId)));
+        return draft ?? null;
       } catch (error) {
-        this.logWarn('Failed to load draft:', error);
+        this.logWarn('Failed to load draft from IndexedDB:', error);
         return null;
       }
     }
 
-    clear(formId) {
+    async clear(formId) {
       if (!this.isStorageAvailable) return;
 
       try {
-        window.localStorage.removeItem(this.getStorageKey(formId));
+        await this.runRequest('readwrite', (store) => store.delete(this.getStorageKey(formId)));
       } catch (error) {
-        this.logWarn('Failed to clear draft:', error);
+        this.logWarn('Failed to clear draft from IndexedDB:', error);
+      }
+    }
+
+    /**
+     * Liste les formId stockés sous le préfixe de ce driver.
+     * @returns {Promise<string[]>}
+     */
+    async listFormIds() {
+      if (!this.isStorageAvailable) return [];
+
+      try {
+        const keys = await this.runRequest('readonly', (store) => store.getAllKeys());
+        return keys
+          .filter((key) => typeof key === 'string' && key.startsWith(this.storageKeyPrefix))
+          .map((key) => key.slice(this.storageKeyPrefix.length));
+      } catch (error) {
+        this.logWarn('Failed to list drafts in IndexedDB:', error);
+        return [];
       }
     }
   }
 
-  // Default driver using window.sessionStorage for persistence.
+  // Wrapper driver that encrypts drafts at rest with AES-GCM (WebCrypto)
+  // before handing them to any other driver.
+  //
+  // The inner driver stores an envelope instead of the draft:
+  // {
+  //   formId: string,
+  //   timestampUtc: string, // kept readable so expiry still works
+  //   encrypted: { v: 1, iv: string, data: string } // base64
+  // }
 
-  // Internal safe JSON parser for driver use
-  function safeParse(raw) {
-    try {
-      return JSON.parse(raw);
-    } catch {
-      return null;
+  const ENCRYPTION_KEY_ID = 'default';
+
+  function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
     }
+    return btoa(binary);
   }
 
-  class SessionStorageDriver {
-    constructor(options = {}) {
-      this.storageKeyPrefix = options.storageKeyPrefix || 'savior_session_draft_';
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  class EncryptedDriver {
+    /**
+     * @param {Object} innerDriver Any driver implementing save/load/clear.
+     * @param {Object} [options]
+     * @param {string} [options.secret] Page-provided secret; the key is derived from it (PBKDF2).
+     *   Without a secret, a non-extractable key is generated once per origin and kept in IndexedDB.
+     * @param {string} [options.salt] PBKDF2 salt (default: "savior:" + origin).
+     * @param {number} [options.iterations=250000] PBKDF2 iterations.
+     * @param {boolean} [options.debug=false]
+     */
+    constructor(innerDriver, options = {}) {
+      this.innerDriver = innerDriver;
+      this.secret = options.secret ?? null;
+      this.salt = options.salt ?? `savior:${typeof location !== 'undefined' ? location.origin : ''}`;
+      this.iterations = options.iterations ?? 250000;
       this.debug = options.debug ?? false;
-      this.isStorageAvailable = this.checkStorageAvailable();
+      this.storageKeyPrefix = innerDriver?.storageKeyPrefix;
+      this.isCryptoAvailable = this.checkCryptoAvailable();
+      this.keyPromise = null;
+    }
+
+    logWarn(...args) {
+      if (!this.debug) return;
+      logger.warn(...args);
+    }
+
+    checkCryptoAvailable() {
+      return (
+        typeof crypto !== 'undefined' &&
+        !!crypto.subtle &&
+        typeof TextEncoder !== 'undefined'
+      );
     }
 
     /**
-     * Centralise la génération de la clé de storage.
-     * Format: prefix + formId
-     * Exemple: "savior_session_draft_form-contact"
+     * Resolve (once) the AES-GCM key.
+     * @returns {Promise<CryptoKey>}
      */
-    getStorageKey(formId) {
-      return `${this.storageKeyPrefix}${formId}`;
+    getKey() {
+      if (!this.keyPromise) {
+        this.keyPromise = (this.secret ? this.deriveKey() : this.loadOrCreateOriginKey())
+          .catch((error) => {
+            this.keyPromise = null;
+            throw error;
+          });
+      }
+
+      return this.keyPromise;
+    }
+
+    async deriveKey() {
+      const encoder = new TextEncoder();
+      const baseKey = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(this.secret),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+      );
+
+      return crypto.subtle.deriveKey(
+        {
+          name: 'PBKDF2',
+          hash: 'SHA-256',
+          salt: encoder.encode(this.salt),
+          iterations: this.iterations
+        },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+    }
+
+    /**
+     * Per-origin key: generated non-extractable, persisted as a CryptoKey in IndexedDB.
+     * Without IndexedDB the key only lives for this page, so drafts can't be read back later.
+     */
+    async loadOrCreateOriginKey() {
+      const keyStore = new IndexedDBDriver({
+        databaseName: 'savior-keys',
+        storeName: 'keys',
+        storageKeyPrefix: '',
+        debug: this.debug
+      });
+
+      const storedKey = await keyStore.load(ENCRYPTION_KEY_ID);
+      if (storedKey) return storedKey;
+
+      const key = await crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+
+      if (!keyStore.isStorageAvailable) {
+        this.logWarn('IndexedDB not available: encryption key will not survive a reload.');
+      }
+      await keyStore.save(ENCRYPTION_KEY_ID, key);
+
+      return key;
+    }
+
+    async save(formId, draft) {
+      if (!this.isCryptoAvailable) {
+        // Never fall back to plaintext.
+        this.logWarn('WebCrypto not available: draft not saved.');
+        return;
+      }
+
+      const key = await this.getKey();
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const encoder = new TextEncoder();
+
+      const ciphertext = await crypto.subtle.encrypt(
+        // The formId is bound as additional data: an envelope can't be swapped between forms.
+        { name: 'AES-GCM', iv, additionalData: encoder.encode(formId) },
+        key,
+        encoder.encode(JSON.stringify(draft))
+      );
+
+      await this.innerDriver.save(formId, {
+        formId: draft?.formId ?? formId,
+        timestampUtc: draft?.timestampUtc,
+        encrypted: {
+          v: 1,
+          iv: bytesToBase64(iv),
+          data: bytesToBase64(new Uint8Array(ciphertext))
+        }
+      });
+    }
+
+    async load(formId) {
+      const envelope = await this.innerDriver.load(formId);
+      if (!envelope) return null;
+
+      // Plaintext draft written before encryption was enabled: re-encrypted on next save.
+      if (!envelope.encrypted) return envelope;
+
+      if (!this.isCryptoAvailable) {
+        this.logWarn('WebCrypto not available: cannot decrypt draft.');
+        return null;
+      }
+
+      try {
+        const key = await this.getKey();
+        const plaintext = await crypto.subtle.decrypt(
+          {
+            name: 'AES-GCM',
+            iv: base64ToBytes(envelope.encrypted.iv),
+            additionalData: new TextEncoder().encode(formId)
+          },
+          key,
+          base64ToBytes(envelope.encrypted.data)
+        );
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+      } catch (error) {
+        this.logWarn('Failed to decrypt draft (wrong key or corrupted data):', error);
+        return null;
+      }
+    }
+
+    clear(formId) {
+      return this.innerDriver.clear(formId);
+    }
+
+    /**
+     * Usage du driver interne (vide s'il ne sait pas le mesurer).
+     * @returns {{keys: number, bytes: number}|Promise<{keys: number, bytes: number}>}
+     */
+    getUsage() {
+      if (typeof this.innerDriver.getUsage !== 'function') return { keys: 0, bytes: 0 };
+      return this.innerDriver.getUsage();
+    }
+
+    /**
+     * Liste les formId du driver interne (vide s'il ne sait pas les lister).
+     * @returns {string[]|Promise<string[]>}
+     */
+    listFormIds() {
+      if (typeof this.innerDriver.listFormIds !== 'function') return [];
+      return this.innerDriver.listFormIds();
+    }
+  }
+
+  // Driver keeping drafts on a backend over fetch, so they follow the visitor
+  // between devices. Writes go through a write-ahead queue in localStorage:
+  // they survive going offline or closing the tab, and are retried with
+  // exponential backoff. Every method returns a Promise.
+  //
+  // HTTP contract, per draft at endpoint + "/" + encodeURIComponent(formId):
+  //   GET    -> 200 with the draft JSON, or 404 when there is none
+  //   PUT    -> draft JSON body; 2xx once stored, 409 if the server holds a newer draft
+  //   DELETE -> 2xx (404 counts as done)
+  // History records ("<formId>::history") never go to the server: they stay in
+  // this browser's localStorage, so saving works the same offline.
+
+  // Statuses worth retrying; any other 4xx won't get better and is dropped.
+  const RETRYABLE_STATUSES = [408, 425, 429];
+
+  class RemoteDriver {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint Base URL of the drafts resource.
+     * @param {Function} [options.fetch=globalThis.fetch] fetch implementation (injectable for tests).
+     * @param {Object<string, string>} [options.headers] Extra request headers (e.g. authorization).
+     * @param {RequestCredentials} [options.credentials='same-origin']
+     * @param {number} [options.timeoutMs=10000] Abort a request after this delay.
+     * @param {string} [options.queueKey='savior-remote-queue'] localStorage key of the write queue.
+     * @param {number} [options.retryDelayMs=1000] First retry delay, doubled after each failure.
+     * @param {number} [options.maxRetryDelayMs=60000] Upper bound of the retry delay.
+     * @param {string} [options.historyKeyPrefix='savior-remote-history:'] localStorage prefix
+     *   of the local history records.
+     * @param {boolean} [options.debug=false]
+     */
+    constructor(options = {}) {
+      if (typeof options.endpoint !== 'string' || options.endpoint === '') {
+        throw new TypeError('RemoteDriver requires an "endpoint" URL.');
+      }
+
+      this.endpoint = options.endpoint.replace(/\/+$/, '');
+      this.fetch = options.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+      this.headers = options.headers || {};
+      this.credentials = options.credentials || 'same-origin';
+      this.timeoutMs = options.timeoutMs ?? 10000;
+      this.queueKey = options.queueKey || 'savior-remote-queue';
+      this.retryDelayMs = options.retryDelayMs ?? 1000;
+      this.maxRetryDelayMs = options.maxRetryDelayMs ?? 60000;
+      this.debug = options.debug ?? false;
+      this.historyStore = new LocalStorageDriver({
+        storageKeyPrefix: options.historyKeyPrefix || 'savior-remote-history:',
+        debug: this.debug
+      });
+
+      // Used when localStorage is unavailable or full (the queue then lasts as long as the page).
+      this.memoryQueue = [];
+      this.isQueueInMemory = false;
+      this.flushPromise = null;
+      this.retryTimeoutId = null;
+      this.attempts = 0;
+      this.isDestroyed = false;
+
+      this.onOnline = () => this.flush();
+      if (typeof window !== 'undefined') {
+        window.addEventListener('online', this.onOnline);
+      }
+
+      // Writes left by a previous page.
+      if (this.readQueue().length) {
+        this.scheduleFlush(0);
+      }
     }
 
     logWarn(...args) {
       if (!this.debug) return;
-      warn(...args);
+      logger.warn(...args);
     }
 
-    checkStorageAvailable() {
+    /**
+     * @param {string} formId
+     * @returns {string}
+     */
+    getDraftUrl(formId) {
+      return `${this.endpoint}/${encodeURIComponent(formId)}`;
+    }
+
+    /**
+     * Pending writes, oldest first: { op: 'save'|'clear', formId, timestampUtc, draft? }.
+     * @returns {Object[]}
+     */
+    readQueue() {
+      if (this.isQueueInMemory) return this.memoryQueue.slice();
+
       try {
-        if (typeof window === 'undefined' || !window.sessionStorage) {
-          return false;
+        const raw = window.localStorage.getItem(this.queueKey);
+        const queue = raw ? JSON.parse(raw) : [];
+        return Array.isArray(queue) ? queue : [];
+      } catch (error) {
+        this.isQueueInMemory = true;
+        return this.memoryQueue.slice();
+      }
+    }
+
+    /**
+     * @param {Object[]} queue
+     */
+    writeQueue(queue) {
+      this.memoryQueue = queue;
+      if (this.isQueueInMemory) return;
+
+      try {
+        if (queue.length) {
+          window.localStorage.setItem(this.queueKey, JSON.stringify(queue));
+        } else {
+          window.localStorage.removeItem(this.queueKey);
         }
+      } catch (error) {
+        this.isQueueInMemory = true;
+        this.logWarn('Failed to persist the remote write queue (kept in memory):', error);
+      }
+    }
 
-        const testKey = '__savior_session_test__';
-        window.sessionStorage.setItem(testKey, '1');
-        window.sessionStorage.removeItem(testKey);
+    /**
+     * Queue a write; only the newest write per formId is kept.
+     * @param {{op: 'save'|'clear', formId: string, timestampUtc: string, draft?: Object}} entry
+     */
+    enqueue(entry) {
+      const queue = this.readQueue();
+      const pending = queue.find((queued) => queued.formId === entry.formId);
+
+      // Same or newer write already queued (e.g. replayed by another tab).
+      if (pending && Date.parse(pending.timestampUtc) >= Date.parse(entry.timestampUtc)) {
+        return;
+      }
+
+      this.writeQueue(queue.filter((queued) => queued !== pending).concat(entry));
+      this.scheduleFlush(0);
+    }
+
+    /**
+     * @param {string} formId
+     * @returns {boolean} Whether formId is a history record, kept local.
+     */
+    isHistoryId(formId) {
+      return formId.endsWith(HISTORY_SUFFIX);
+    }
+
+    /**
+     * Queued, not sent yet: resolves once the write is in the queue.
+     */
+    async save(formId, draft) {
+      if (this.isHistoryId(formId)) {
+        this.historyStore.save(formId, draft);
+        return;
+      }
+
+      this.enqueue({
+        op: 'save',
+        formId,
+        timestampUtc: draft?.timestampUtc || new Date().toISOString(),
+        draft
+      });
+    }
+
+    /**
+     * A queued write for this formId wins over the server copy.
+     * @returns {Promise<Object|null>}
+     */
+    async load(formId) {
+      if (this.isHistoryId(formId)) {
+        return this.historyStore.load(formId);
+      }
+
+      const pending = this.readQueue().find((queued) => queued.formId === formId);
+      if (pending) {
+        return pending.op === 'save' ? pending.draft : null;
+      }
+
+      const response = await this.request('GET', formId);
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`RemoteDriver: GET ${this.getDraftUrl(formId)} failed with HTTP ${response.status}.`);
+      }
+
+      const draft = await response.json();
+      return draft && typeof draft === 'object' ? draft : null;
+    }
+
+    async clear(formId) {
+      if (this.isHistoryId(formId)) {
+        this.historyStore.clear(formId);
+        return;
+      }
+
+      this.enqueue({ op: 'clear', formId, timestampUtc: new Date().toISOString() });
+    }
+
+    /**
+     * Send the queued writes now.
+     * @returns {Promise<void>} Resolves when the queue is empty, or a write failed and a retry is scheduled.
+     */
+    flush() {
+      if (!this.flushPromise) {
+        this.flushPromise = this.drainQueue().finally(() => {
+          this.flushPromise = null;
+        });
+      }
+
+      return this.flushPromise;
+    }
+
+    /**
+     * @param {number} delayMs
+     */
+    scheduleFlush(delayMs) {
+      if (this.isDestroyed) return;
+
+      clearTimeout(this.retryTimeoutId);
+      this.retryTimeoutId = setTimeout(() => {
+        this.retryTimeoutId = null;
+        this.flush();
+      }, delayMs);
+    }
+
+    async drainQueue() {
+      for (;;) {
+        const entry = this.readQueue()[0];
+        if (!entry) {
+          this.attempts = 0;
+          return;
+        }
+
+        let done;
+        try {
+          done = await this.send(entry);
+        } catch (error) {
+          done = false;
+          this.logWarn(`Remote ${entry.op} failed for form "${entry.formId}":`, error?.message || error);
+        }
+
+        if (!done) {
+          this.attempts++;
+          const delay = Math.min(this.maxRetryDelayMs, this.retryDelayMs * 2 ** (this.attempts - 1));
+          this.logWarn(`Retrying remote writes in ${delay}ms.`);
+          this.scheduleFlush(delay);
+          return;
+        }
+
+        this.attempts = 0;
+        // A newer write may have replaced this entry while it was in flight.
+        this.writeQueue(this.readQueue().filter((queued) => (
+          queued.formId !== entry.formId ||
+          queued.op !== entry.op ||
+          queued.timestampUtc !== entry.timestampUtc
+        )));
+      }
+    }
+
+    /**
+     * @param {Object} entry Queue entry.
+     * @returns {Promise<boolean>} false when the write should be retried.
+     */
+    async send(entry) {
+      const response = entry.op === 'save'
+        ? await this.request('PUT', entry.formId, entry.draft)
+        : await this.request('DELETE', entry.formId);
+
+      if (response.ok || (entry.op === 'clear' && response.status === 404)) {
         return true;
-      } catch (error) {
-        this.logWarn('sessionStorage not available:', error);
+      }
+
+      if (response.status >= 500 || RETRYABLE_STATUSES.includes(response.status)) {
         return false;
       }
+
+      // 409: the server already has a newer draft. Other 4xx: retrying won't help.
+      this.logWarn(`Dropping remote ${entry.op} for form "${entry.formId}" (HTTP ${response.status}).`);
+      return true;
     }
 
-    save(formId, draft) {
-      if (!this.isStorageAvailable) return;
+    /**
+     * Stop retrying and listening for "online". Queued writes stay in
+     * localStorage and are sent by the next RemoteDriver using the same queueKey.
+     */
+    destroy() {
+      this.isDestroyed = true;
+      clearTimeout(this.retryTimeoutId);
+      this.retryTimeoutId = null;
 
-      try {
-        const serializedDraft = JSON.stringify(draft);
-        window.sessionStorage.setItem(this.getStorageKey(formId), serializedDraft);
-      } catch (error) {
-        this.logWarn('Failed to save draft to sessionStorage:', error);
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('online', this.onOnline);
       }
     }
 
-    load(formId) {
-      if (!this.isStorageAvailable) return null;
-
-      try {
-        const raw = window.sessionStorage.getItem(this.getStorageKey(formId));
-        if (!raw) return null;
-
-        return safeParse(raw);
-      } catch (error) {
-        this.logWarn('Failed to load draft from sessionStorage:', error);
-        return null;
+    /**
+     * @param {'GET'|'PUT'|'DELETE'} method
+     * @param {string} formId
+     * @param {Object} [body]
+     * @returns {Promise<Response>}
+     */
+    async request(method, formId, body) {
+      if (!this.fetch) {
+        throw new Error('RemoteDriver: fetch is not available.');
       }
-    }
 
-    clear(formId) {
-      if (!this.isStorageAvailable) return;
+      const controller = typeof AbortController === 'function' ? new AbortController() : null;
+      const timeoutId = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
 
       try {
-        window.sessionStorage.removeItem(this.getStorageKey(formId));
-      } catch (error) {
-        this.logWarn('Failed to clear draft from sessionStorage:', error);
+        return await this.fetch(this.getDraftUrl(formId), {
+          method,
+          credentials: this.credentials,
+          headers: {
+            Accept: 'application/json',
+            ...(body !== undefined && { 'Content-Type': 'application/json' }),
+            ...this.headers
+          },
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal: controller?.signal
+        });
+      } finally {
+        clearTimeout(timeoutId);
       }
     }
   }
@@ -714,10 +4947,47 @@
   const DEFAULT_OPTIONS = {
     selector: 'form[data-savior]',
     saveDelayMs: 400,
+    maxWaitMs: 2000,
     debug: false,
     storageKeyPrefix: 'savior:',
+    serializer: JSONSerializer,
+    historySize: 10,
+    historyMaxAgeMs: 7 * 24 * 60 * 60 * 1000,
+    historyIntervalMs: 60 * 1000,
+    maxAgeMs: null,
+    include: [],
+    exclude: [],
+    skipSensitiveAutocomplete: true,
+    adapters: [],
+    sync: false,
+    observe: false,
+    clearOnSubmit: 'confirm',
+    submitConfirmParam: 'sent',
+    version: 1,
+    prompt: false,
+    debugPanel: false,
   };
 
+  // Instances créées par Savior.init(), pour que les helpers publics
+  // puissent répercuter un draft remplacé sur les formulaires affichés.
+  const activeCores = new Set();
+
+  // Panneau de debug partagé (Savior.showDebugPanel()), créé à la demande.
+  let debugPanel = null;
+
+  /**
+   * Itère sur les instances actives, en oubliant celles détruites (core.destroy()).
+   */
+  function forEachActiveCore(callback) {
+    activeCores.forEach((core) => {
+      if (core.isDestroyed) {
+        activeCores.delete(core);
+        return;
+      }
+      callback(core);
+    });
+  }
+
   /**
    * Vérifie si localStorage est utilisable dans cet environnement.
    * Utilisé par checkSupport et les helpers publics.
@@ -744,7 +5014,31 @@
    */
   function logDebug(options, ...args) {
     if (!options?.debug) return;
-    console.debug('[Savior]', ...args);
+    logger.debug(...args);
+  }
+
+  /**
+   * Normalise une option include/exclude en tableau de règles valides
+   * (sélecteur CSS ou RegExp sur le name). Les règles invalides sont ignorées.
+   */
+  function normalizeFieldRules(name, value, warn) {
+    const rules = Array.isArray(value) ? value : [value];
+
+    return rules.filter((rule) => {
+      if (isRegExp(rule)) return true;
+
+      if (typeof rule === 'string' && rule.trim()) {
+        try {
+          document.createDocumentFragment().querySelector(rule);
+          return true;
+        } catch {
+          // Sélecteur invalide, signalé ci-dessous.
+        }
+      }
+
+      warn(`Invalid "${name}" rule ignored:`, rule);
+      return false;
+    });
   }
 
   /**
@@ -762,7 +5056,7 @@
 
     const warn = (...args) => {
       if (merged.debug !== true) return;
-      console.warn('[Savior]', ...args);
+      logger.warn(...args);
     };
 
     // selector
@@ -784,6 +5078,21 @@
       );
       merged.saveDelayMs = DEFAULT_OPTIONS.saveDelayMs;
     }
+
+    // maxWaitMs (null = pas de limite)
+    if (
+      merged.maxWaitMs !== null &&
+      (
+        typeof merged.maxWaitMs !== 'number' ||
+        !Number.isFinite(merged.maxWaitMs) ||
+        merged.maxWaitMs < 0
+      )
+    ) {
+      warn('Invalid "maxWaitMs" option. Using default:',
+        DEFAULT_OPTIONS.maxWaitMs
+      );
+      merged.maxWaitMs = DEFAULT_OPTIONS.maxWaitMs;
+    }
     // storageKeyPrefix
     if (typeof merged.storageKeyPrefix !== 'string') {
       warn('Invalid "storageKeyPrefix" option. Using default:',
@@ -792,6 +5101,143 @@
       merged.storageKeyPrefix = DEFAULT_OPTIONS.storageKeyPrefix;
     }
 
+    // serializer (objet, ou nom d'un serializer intégré: "json", "lz", "structured")
+    if (typeof merged.serializer === 'string') {
+      const builtIn = BUILT_IN_SERIALIZERS.find((serializer) => serializer.name === merged.serializer);
+      if (builtIn) merged.serializer = builtIn;
+    }
+    if (!isSerializer(merged.serializer)) {
+      warn('Invalid "serializer" option (expected "json", "lz", "structured" or { name, serialize, deserialize }). Using default:',
+        DEFAULT_OPTIONS.serializer.name
+      );
+      merged.serializer = DEFAULT_OPTIONS.serializer;
+    }
+
+    // historySize
+    if (!Number.isInteger(merged.historySize) || merged.historySize < 0) {
+      warn('Invalid "historySize" option. Using default:',
+        DEFAULT_OPTIONS.historySize
+      );
+      merged.historySize = DEFAULT_OPTIONS.historySize;
+    }
+
+    // historyMaxAgeMs
+    if (
+      typeof merged.historyMaxAgeMs !== 'number' ||
+      Number.isNaN(merged.historyMaxAgeMs) ||
+      merged.historyMaxAgeMs <= 0
+    ) {
+      warn('Invalid "historyMaxAgeMs" option. Using default:',
+        DEFAULT_OPTIONS.historyMaxAgeMs
+      );
+      merged.historyMaxAgeMs = DEFAULT_OPTIONS.historyMaxAgeMs;
+    }
+
+    // historyIntervalMs
+    if (
+      typeof merged.historyIntervalMs !== 'number' ||
+      Number.isNaN(merged.historyIntervalMs) ||
+      merged.historyIntervalMs < 0
+    ) {
+      warn('Invalid "historyIntervalMs" option. Using default:',
+        DEFAULT_OPTIONS.historyIntervalMs
+      );
+      merged.historyIntervalMs = DEFAULT_OPTIONS.historyIntervalMs;
+    }
+
+    // include / exclude
+    merged.include = normalizeFieldRules('include', merged.include ?? [], warn);
+    merged.exclude = normalizeFieldRules('exclude', merged.exclude ?? [], warn);
+
+    // skipSensitiveAutocomplete
+    merged.skipSensitiveAutocomplete = merged.skipSensitiveAutocomplete !== false;
+
+    // sync
+    merged.sync = merged.sync === true;
+
+    // observe
+    merged.observe = merged.observe === true;
+
+    // version (nombre, ou map formId -> nombre)
+    const isVersion = (value) => Number.isInteger(value) && value >= 1;
+    if (
+      !isVersion(merged.version) &&
+      !(isPlainObject(merged.version) && Object.values(merged.version).every(isVersion))
+    ) {
+      warn('Invalid "version" option. Using default:',
+        DEFAULT_OPTIONS.version
+      );
+      merged.version = DEFAULT_OPTIONS.version;
+    }
+
+    // clearOnSubmit
+    if (!['confirm', 'immediate'].includes(merged.clearOnSubmit)) {
+      warn('Invalid "clearOnSubmit" option (expected "confirm" or "immediate"). Using default:',
+        DEFAULT_OPTIONS.clearOnSubmit
+      );
+      merged.clearOnSubmit = DEFAULT_OPTIONS.clearOnSubmit;
+    }
+
+    // submitConfirmParam
+    if (typeof merged.submitConfirmParam !== 'string') {
+      warn('Invalid "submitConfirmParam" option. Using default:',
+        DEFAULT_OPTIONS.submitConfirmParam
+      );
+      merged.submitConfirmParam = DEFAULT_OPTIONS.submitConfirmParam;
+    }
+
+    // prompt (booléen, ou options de RestorePrompt)
+    if (typeof merged.prompt !== 'boolean' && !isPlainObject(merged.prompt)) {
+      warn('Invalid "prompt" option (expected a boolean or an object). Using default:',
+        DEFAULT_OPTIONS.prompt
+      );
+      merged.prompt = DEFAULT_OPTIONS.prompt;
+    }
+
+    // debugPanel
+    if (typeof merged.debugPanel !== 'boolean') {
+      warn('Invalid "debugPanel" option (expected a boolean). Using default:',
+        DEFAULT_OPTIONS.debugPanel
+      );
+      merged.debugPanel = DEFAULT_OPTIONS.debugPanel;
+    }
+
+    // callbacks
+    ['onRestore', 'onSave', 'onClear', 'onError', 'beforeRestore'].forEach((name) => {
+      if (merged[name] !== undefined && typeof merged[name] !== 'function') {
+        warn(`Invalid "${name}" option (expected a function). Ignoring it.`);
+        delete merged[name];
+      }
+    });
+
+    // adapters
+    if (!Array.isArray(merged.adapters)) {
+      warn('Invalid "adapters" option (expected an array). Using default:',
+        DEFAULT_OPTIONS.adapters
+      );
+      merged.adapters = DEFAULT_OPTIONS.adapters;
+    }
+    merged.adapters = merged.adapters.filter((adapter) => {
+      if (isFieldAdapter(adapter)) return true;
+      warn('Invalid adapter ignored (must implement canHandle/readValue/writeValue):', adapter);
+      return false;
+    });
+
+    // maxAgeMs (null = pas d'expiration)
+    if (
+      merged.maxAgeMs !== null &&
+      (
+        typeof merged.maxAgeMs !== 'number' ||
+        Number.isNaN(merged.maxAgeMs) ||
+        merged.maxAgeMs <= 0
+      )
+    ) {
+      warn('Invalid "maxAgeMs" option. Using default:',
+        DEFAULT_OPTIONS.maxAgeMs
+      );
+      merged.maxAgeMs = DEFAULT_OPTIONS.maxAgeMs;
+    }
+
     return merged;
   }
 
@@ -802,9 +5248,22 @@
     return new LocalStorageDriver({
       debug: Boolean(options.debug),
       storageKeyPrefix: options.storageKeyPrefix ?? DEFAULT_OPTIONS.storageKeyPrefix,
+      serializer: options.serializer ?? DEFAULT_OPTIONS.serializer,
     });
   }
 
+  /**
+   * Applique callback au résultat d'un driver, qu'il soit synchrone ou une Promise.
+   * Les drivers synchrones gardent ainsi une API publique synchrone.
+   */
+  function whenResolved(value, callback) {
+    if (value && typeof value.then === 'function') {
+      return value.then(callback);
+    }
+
+    return callback(value);
+  }
+
   const Savior = {
     /**
      * Vérifie si l'environnement supporte les APIs nécessaires.
@@ -824,19 +5283,69 @@
      * 4. Crée un SaviorCore, appelle core.init().
      * 5. Retourne l'instance de core (avec destroy, etc.).
      *
+     * Formulaires en plusieurs étapes: chaque étape est un conteneur
+     * data-savior-step="nom" (l'étape courante est la première non `hidden`).
+     * Le draft garde l'étape courante, les étapes terminées et leur validité,
+     * et la restauration ramène à la bonne étape (événement annulable
+     * "savior:steprestore" pour laisser la page le faire elle-même).
+     *
+     * Au-delà de form.elements: les zones contenteditable marquées
+     * data-savior-name="nom" (HTML nettoyé à la sauvegarde et à la restauration)
+     * et les custom elements associés au formulaire (value, ou
+     * formStateRestoreCallback pour restaurer).
+     *
      * @param {Object} options
      * @param {string} [options.selector]
      * @param {number} [options.saveDelayMs]
-     * @param {LocalStorageDriver|SessionStorageDriver} [options.driver]
+     * @param {number|null} [options.maxWaitMs] Délai max avant sauvegarde pendant une saisie continue.
+     * @param {LocalStorageDriver|SessionStorageDriver|IndexedDBDriver|EncryptedDriver|RemoteDriver} [options.driver]
      * @param {boolean} [options.debug]
      * @param {string} [options.storageKeyPrefix]
+     * @param {string|Object} [options.serializer] Format de stockage du driver par défaut: "json",
+     *   "lz" (compressé, pour les longs textarea), "structured" (garde Date, Map, Set) ou un
+     *   objet { name, serialize, deserialize }. Les drafts JSON existants restent lisibles.
+     * @param {number} [options.historySize] Nombre max de snapshots gardés par formulaire (0 = désactivé).
+     * @param {number} [options.historyMaxAgeMs] Âge max d'un snapshot.
+     * @param {number} [options.historyIntervalMs] Délai min entre deux snapshots (60 s); une
+     *   sauvegarde qui efface l'essentiel du formulaire garde aussitôt le draft précédent.
+     * @param {number|null} [options.maxAgeMs] Âge max d'un draft; les drafts plus vieux sont purgés.
+     * @param {string|RegExp|Array<string|RegExp>} [options.include] Sélecteurs CSS ou RegExp (sur le name)
+     *   des seuls champs à sauvegarder.
+     * @param {string|RegExp|Array<string|RegExp>} [options.exclude] Sélecteurs CSS ou RegExp (sur le name)
+     *   des champs à ne jamais sauvegarder. Voir aussi l'attribut data-savior-ignore.
+     * @param {boolean} [options.skipSensitiveAutocomplete] Ignore les champs autocomplete="cc-number",
+     *   "one-time-code", etc. (true par défaut).
+     * @param {FieldAdapter[]} [options.adapters] Adapters propres à cette instance, prioritaires
+     *   sur ceux de Savior.registerAdapter() et les adapters intégrés.
+     * @param {boolean} [options.sync] Synchronise les drafts entre onglets (BroadcastChannel,
+     *   sinon événements "storage"), le plus récent gagnant.
+     * @param {boolean} [options.observe] Surveille le DOM: attache les formulaires ajoutés après init(),
+     *   restaure les champs ajoutés, détache les formulaires retirés.
+     * @param {'confirm'|'immediate'} [options.clearOnSubmit] "confirm" (défaut): au submit, le draft
+     *   est gardé et marqué comme soumis, puis effacé quand l'envoi est confirmé (paramètre d'URL
+     *   submitConfirmParam ou Savior.confirmSubmitted()). "immediate": effacé dès le submit.
+     * @param {string} [options.submitConfirmParam] Paramètre d'URL qui confirme l'envoi ("sent").
+     * @param {number|Object<string, number>} [options.version] Version du schéma des formulaires
+     *   (ou map formId -> version); l'attribut data-savior-version du formulaire est prioritaire.
+     *   Les drafts plus anciens passent par les migrations de Savior.registerMigration().
+     * @param {boolean|Object} [options.prompt] Demande avant de restaurer: bandeau accessible au-dessus
+     *   du formulaire (Restaurer / Ignorer / Aperçu). Objet: { labels, className, injectStyles, locale };
+     *   thème via les variables CSS --savior-prompt-bg, -fg, -border et -accent.
+     * @param {boolean} [options.debugPanel] Ouvre le panneau de debug (voir Savior.showDebugPanel()).
+     * @param {Function} [options.onRestore] Reçoit le detail de l'événement "savior:restore".
+     * @param {Function} [options.onSave] Reçoit le detail de l'événement "savior:save".
+     * @param {Function} [options.onClear] Reçoit le detail de l'événement "savior:clear".
+     * @param {Function} [options.onError] Reçoit le detail de l'événement "savior:error"
+     *   ({ formId, form, operation, error }). Stockage plein: error est une StorageQuotaError
+     *   (error.code === 'quota'), levée après éviction des drafts les plus anciens.
+     * @param {Function} [options.beforeRestore] Reçoit { formId, form, draft } avant la restauration;
+     *   retourner false (ou une Promise de false) l'annule.
      * @returns {SaviorCore|null}
      */
     init(options = {}) {
       if (!Savior.checkSupport()) {
         if (options.debug) {
-          warn('Environment does not support required storage APIs. Initialization skipped.'
-          );
+          logger.warn('Environment does not support required storage APIs. Initialization skipped.');
         }
         return null;
       }
@@ -851,17 +5360,84 @@
 
       logDebug(normalized, 'Calling core.init() with selector', normalized.selector);
       core.init();
+      activeCores.add(core);
+
+      if (normalized.debugPanel) {
+        Savior.showDebugPanel();
+      }
+
+      if (normalized.maxAgeMs !== null) {
+        // Les formulaires attachés gèrent leur propre draft expiré (restoreForm),
+        // dans leur file d'écriture : on ne les purge pas en parallèle.
+        const attachedFormIds = new Set(
+          Array.from(core.attachedForms.values(), (state) => state.formId)
+        );
+        Savior.purgeExpired({ ...normalized, driver }, attachedFormIds);
+      }
+
       return core;
     },
 
+    /**
+     * Supprime tous les drafts (et historiques) expirés sous le storageKeyPrefix configuré.
+     * Nécessite un driver qui implémente listFormIds().
+     * @param {Object} [options]
+     * @param {LocalStorageDriver|SessionStorageDriver|IndexedDBDriver} [options.driver]
+     * @param {boolean} [options.debug]
+     * @param {string} [options.storageKeyPrefix]
+     * @param {number|null} [options.maxAgeMs]
+     * @param {Set<string>} [skipFormIds] Usage interne: formId à ne pas toucher.
+     * @returns {Promise<number>} Nombre d'entrées supprimées.
+     */
+    async purgeExpired(options = {}, skipFormIds = new Set()) {
+      if (!Savior.checkSupport()) return 0;
+
+      const effectiveOptions = {
+        ...DEFAULT_OPTIONS,
+        ...options,
+      };
+
+      if (effectiveOptions.maxAgeMs === null) return 0;
+
+      const driver = effectiveOptions.driver || createDefaultDriver(effectiveOptions);
+      if (typeof driver.listFormIds !== 'function') {
+        logDebug(effectiveOptions, 'Driver does not implement listFormIds(); purgeExpired skipped.');
+        return 0;
+      }
+
+      const now = Date.now();
+      let purged = 0;
+
+      for (const storedId of await driver.listFormIds()) {
+        const baseFormId = storedId.endsWith(HISTORY_SUFFIX)
+          ? storedId.slice(0, -HISTORY_SUFFIX.length)
+          : storedId;
+        if (skipFormIds.has(baseFormId)) continue;
+
+        try {
+          const stored = await driver.load(storedId);
+          if (!stored || !isDraftExpired(stored, effectiveOptions.maxAgeMs, now)) continue;
+
+          await driver.clear(storedId);
+          purged++;
+        } catch (err) {
+          logDebug(effectiveOptions, `Failed to purge "${storedId}":`, err?.message || err);
+        }
+      }
+
+      logDebug(effectiveOptions, `Purged ${purged} expired draft(s).`);
+      return purged;
+    },
+
     /**
      * Récupère le draft brut pour un formId donné (ou null si absent / non supporté).
+     * Avec un driver asynchrone (IndexedDBDriver), retourne une Promise.
      * @param {string} formId
      * @param {Object} [options]
-     * @param {LocalStorageDriver|SessionStorageDriver} [options.driver]
+     * @param {LocalStorageDriver|SessionStorageDriver|IndexedDBDriver} [options.driver]
      * @param {boolean} [options.debug]
      * @param {string} [options.storageKeyPrefix]
-     * @returns {Object|null}
+     * @returns {Object|null|Promise<Object|null>}
      */
     getDraft(formId, options = {}) {
       if (!formId) return null;
@@ -877,12 +5453,14 @@
     },
 
     /**
-     * Efface le draft pour un formId donné.
+     * Efface le draft pour un formId donné, ainsi que son historique.
+     * Avec un driver asynchrone, ou si le formulaire est attaché, retourne une Promise.
      * @param {string} formId
      * @param {Object} [options]
-     * @param {LocalStorageDriver|SessionStorageDriver} [options.driver]
+     * @param {LocalStorageDriver|SessionStorageDriver|IndexedDBDriver} [options.driver]
      * @param {boolean} [options.debug]
      * @param {string} [options.storageKeyPrefix]
+     * @returns {void|Promise<void>}
      */
     clearDraft(formId, options = {}) {
       if (!formId) return;
@@ -893,23 +5471,284 @@
         ...options,
       };
 
+      // Formulaire attaché: on passe par la file d'écriture de l'instance, qui
+      // efface aussi les fichiers stockés (FileFieldAdapter).
+      const owners = [];
+      forEachActiveCore((core) => {
+        const hasForm = Array.from(core.attachedForms.values())
+          .some((state) => state.formId === formId);
+        if (hasForm) owners.push(core);
+      });
+
+      if (owners.length) {
+        return Promise.all(owners.map((core) => (
+          core.enqueueWrite(formId, 'clear', () => core.clearStoredDraft(formId))
+        ))).then(() => {});
+      }
+
+      const driver = effectiveOptions.driver || createDefaultDriver(effectiveOptions);
+      return whenResolved(driver.clear(formId), () => driver.clear(getHistoryId(formId)));
+    },
+
+    /**
+     * Confirme qu'un envoi a réussi: efface le draft s'il est encore marqué comme soumis.
+     * Passe par les instances actives qui ont ce formulaire (file d'écriture), sinon par le driver.
+     * @param {string} formId
+     * @param {Object} [options]
+     * @param {LocalStorageDriver|SessionStorageDriver|IndexedDBDriver} [options.driver]
+     * @param {boolean} [options.debug]
+     * @param {string} [options.storageKeyPrefix]
+     * @returns {Promise<boolean>} true si le draft a été effacé.
+     */
+    async confirmSubmitted(formId, options = {}) {
+      if (!formId) return false;
+      if (!Savior.checkSupport()) return false;
+
+      const owners = [];
+      forEachActiveCore((core) => {
+        const hasForm = Array.from(core.attachedForms.values())
+          .some((state) => state.formId === formId);
+        if (hasForm) owners.push(core);
+      });
+
+      if (owners.length) {
+        const results = await Promise.all(owners.map((core) => core.confirmSubmitted(formId)));
+        return results.includes(true);
+      }
+
+      const effectiveOptions = {
+        ...DEFAULT_OPTIONS,
+        ...options,
+      };
+
+      const driver = effectiveOptions.driver || createDefaultDriver(effectiveOptions);
+      const draft = await driver.load(formId);
+      if (!draft?.submittedUtc) return false;
+
+      await driver.clear(formId);
+      await driver.clear(getHistoryId(formId));
+      return true;
+    },
+
+    /**
+     * Usage du stockage sous le storageKeyPrefix configuré.
+     * Avec un driver asynchrone, retourne une Promise.
+     * @param {Object} [options]
+     * @param {LocalStorageDriver|SessionStorageDriver|IndexedDBDriver} [options.driver]
+     * @param {boolean} [options.debug]
+     * @param {string} [options.storageKeyPrefix]
+     * @returns {{keys: number, bytes: number}|Promise<{keys: number, bytes: number}>|null}
+     */
+    getStorageUsage(options = {}) {
+      if (!Savior.checkSupport()) return null;
+
+      const effectiveOptions = {
+        ...DEFAULT_OPTIONS,
+        ...options,
+      };
+
       const driver = effectiveOptions.driver || createDefaultDriver(effectiveOptions);
-      driver.clear(formId);
+      if (typeof driver.getUsage !== 'function') return null;
+
+      return driver.getUsage();
     },
 
     /**
      * Exporte le draft sous forme de JSON pretty-printé (string) ou null.
+     * Avec un driver asynchrone, retourne une Promise.
      * @param {string} formId
      * @param {Object} [options]
-     * @returns {string|null}
+     * @returns {string|null|Promise<string|null>}
      */
     exportDraft(formId, options = {}) {
-      const draft = Savior.getDraft(formId, options);
-      return draft ? JSON.stringify(draft, null, 2) : null;
+      return whenResolved(
+        Savior.getDraft(formId, options),
+        (draft) => (draft ? JSON.stringify(draft, null, 2) : null)
+      );
+    },
+
+    /**
+     * Liste les snapshots d'historique d'un formulaire, du plus récent au plus ancien.
+     * Avec un driver asynchrone, retourne une Promise.
+     * @param {string} formId
+     * @param {Object} [options]
+     * @param {LocalStorageDriver|SessionStorageDriver|IndexedDBDriver} [options.driver]
+     * @param {string} [options.storageKeyPrefix]
+     * @param {number} [options.historySize]
+     * @param {number} [options.historyMaxAgeMs]
+     * @returns {Array<{formId: string, timestampUtc: string, schemaVersion: number, fields: Object}>|Promise<Array>}
+     */
+    listDrafts(formId, options = {}) {
+      if (!formId) return [];
+      if (!Savior.checkSupport()) return [];
+
+      const effectiveOptions = {
+        ...DEFAULT_OPTIONS,
+        ...options,
+      };
+
+      const driver = effectiveOptions.driver || createDefaultDriver(effectiveOptions);
+      return whenResolved(driver.load(getHistoryId(formId)), (record) => {
+        const snapshots = Array.isArray(record?.snapshots) ? record.snapshots : [];
+        return pruneSnapshots(snapshots, effectiveOptions).map((snapshot) => ({
+          formId,
+          timestampUtc: snapshot.timestampUtc,
+          schemaVersion: getDraftSchemaVersion(snapshot),
+          fields: snapshot.fields,
+        }));
+      });
+    },
+
+    /**
+     * Restaure un snapshot d'historique comme draft courant, et l'applique
+     * aux formulaires attachés par Savior.init() qui portent ce formId.
+     * Avec un driver asynchrone, retourne une Promise.
+     * @param {string} formId
+     * @param {string} timestampUtc Timestamp du snapshot, tel que retourné par listDrafts().
+     * @param {Object} [options] Mêmes options que listDrafts().
+     * @returns {Object|null|Promise<Object|null>} Le nouveau draft courant, ou null si introuvable.
+     */
+    restoreDraft(formId, timestampUtc, options = {}) {
+      if (!formId || !timestampUtc) return null;
+      if (!Savior.checkSupport()) return null;
+
+      const effectiveOptions = {
+        ...DEFAULT_OPTIONS,
+        ...options,
+      };
+
+      const driver = effectiveOptions.driver || createDefaultDriver(effectiveOptions);
+      const listed = Savior.listDrafts(formId, { ...effectiveOptions, driver });
+
+      return whenResolved(listed, (snapshots) => {
+        const snapshot = snapshots.find((entry) => entry.timestampUtc === timestampUtc);
+        if (!snapshot) return null;
+
+        const draft = {
+          formId,
+          timestampUtc: new Date().toISOString(),
+          schemaVersion: snapshot.schemaVersion,
+          fields: snapshot.fields,
+        };
+
+        return whenResolved(driver.save(formId, draft), () => {
+          forEachActiveCore((core) => core.applyDraftToAttachedForms(formId, draft, 'history'));
+          return draft;
+        });
+      });
+    },
+
+    /**
+     * Importe un draft exporté par exportDraft() (JSON string ou objet).
+     *
+     * Le draft est validé contre le schéma (formId, timestampUtc ISO, fields);
+     * une DraftValidationError listant les problèmes est levée s'il est invalide.
+     * Avec options.repair, les problèmes réparables sont corrigés au lieu d'être rejetés.
+     *
+     * @param {string|Object} json
+     * @param {Object} [options]
+     * @param {string} [options.formId] formId cible; sinon celui du draft.
+     * @param {boolean} [options.repair=false]
+     * @param {boolean|HTMLFormElement} [options.restore=false] true: applique le draft aux
+     *   formulaires attachés par Savior.init(); un HTMLFormElement: l'applique à ce formulaire.
+     * @param {LocalStorageDriver|SessionStorageDriver|IndexedDBDriver} [options.driver]
+     * @param {boolean} [options.debug]
+     * @param {string} [options.storageKeyPrefix]
+     * @returns {Object|null|Promise<Object|null>} Le draft enregistré (null si non supporté).
+     * @throws {DraftValidationError}
+     */
+    importDraft(json, options = {}) {
+      const draft = validateDraft(json, {
+        formId: options.formId,
+        repair: options.repair === true,
+      });
+
+      if (!Savior.checkSupport()) return null;
+
+      const effectiveOptions = {
+        ...DEFAULT_OPTIONS,
+        ...options,
+      };
+
+      const driver = effectiveOptions.driver || createDefaultDriver(effectiveOptions);
+      logDebug(effectiveOptions, `Importing draft for form "${draft.formId}".`, draft);
+
+      return whenResolved(driver.save(draft.formId, draft), () => {
+        if (options.restore === true) {
+          forEachActiveCore((core) => core.applyDraftToAttachedForms(draft.formId, draft, 'import'));
+        } else if (options.restore instanceof HTMLFormElement) {
+          new SaviorCore({ ...effectiveOptions, driver }).applyDraft(options.restore, draft);
+        }
+
+        return draft;
+      });
+    },
+
+    /**
+     * Enregistre un FieldAdapter pour toutes les instances Savior.
+     * Les adapters intégrés ont la priorité 0; par défaut un adapter enregistré
+     * (priorité 1) passe avant eux, une priorité négative en fait un fallback.
+     * @param {FieldAdapter} adapter
+     * @param {Object} [options]
+     * @param {number} [options.priority=1]
+     * @returns {() => void} Fonction qui désenregistre l'adapter.
+     */
+    registerAdapter(adapter, options = {}) {
+      return registerFieldAdapter(adapter, options);
+    },
+
+    /**
+     * Enregistre une migration de draft pour un formulaire: appliquée au chargement
+     * quand le draft stocké a la version "from" et que le formulaire est en version >= "to".
+     * Les migrations s'enchaînent (1 -> 2 -> 3); sans chemin, le draft est ignoré.
+     * @param {string} formId
+     * @param {number} from
+     * @param {number} to
+     * @param {(draft: Object) => Object|Promise<Object>} migrate Retourne le draft migré.
+     */
+    registerMigration(formId, from, to, migrate) {
+      registerDraftMigration(formId, from, to, migrate);
+    },
+
+    /**
+     * Ouvre le panneau de debug: formulaires attachés par les instances actives, avec leur
+     * formId, la dernière sauvegarde, la taille du draft stocké et l'adapter de chaque champ,
+     * plus des boutons Export / Clear. Se met à jour sur savior:save, :clear, :restore et :error.
+     * @returns {DebugPanel}
+     */
+    showDebugPanel() {
+      if (!debugPanel) {
+        debugPanel = new DebugPanel(() => {
+          const cores = [];
+          forEachActiveCore((core) => cores.push(core));
+          return cores;
+        });
+      }
+      debugPanel.open();
+      return debugPanel;
+    },
+
+    /**
+     * Ferme le panneau de debug s'il est ouvert.
+     */
+    hideDebugPanel() {
+      if (debugPanel) debugPanel.close();
     },
 
+    FieldAdapter,
+    FileFieldAdapter,
     LocalStorageDriver,
     SessionStorageDriver,
+    IndexedDBDriver,
+    EncryptedDriver,
+    RemoteDriver,
+    JSONSerializer,
+    LZStringSerializer,
+    StructuredSerializer,
+    RestorePrompt,
+    DebugPanel,
+    DraftValidationError,
+    StorageQuotaError,
   };
 
   return Savior;
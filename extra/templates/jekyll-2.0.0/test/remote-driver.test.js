@@ -0,0 +1,286 @@
+'use strict';
+
+// RemoteDriver against a local mock HTTP server. Needs nothing but Node 18+:
+//   node --test extra/templates/jekyll-2.0.0/test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const path = require('node:path');
+
+const Savior = require(path.join(__dirname, '../_site/js/savior.umd.js'));
+
+const { RemoteDriver } = Savior;
+
+const QUEUE_KEY = 'savior-remote-queue';
+
+/**
+ * Minimal localStorage for the driver's write-ahead queue.
+ * @returns {Storage}
+ */
+function createStorage() {
+  const items = new Map();
+
+  return {
+    get length() {
+      return items.size;
+    },
+    key: (index) => Array.from(items.keys())[index] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    }
+  };
+}
+
+/**
+ * Just enough of a page for Savior.init(): one form with one text field,
+ * read and written through an instance adapter.
+ * @param {string} formId
+ * @returns {{form: EventTarget, field: Object, adapter: Object}}
+ */
+function createFakePage(formId) {
+  const field = { name: 'message', type: 'text', value: '', closest: () => null, getAttribute: () => null };
+  const form = Object.assign(new EventTarget(), {
+    elements: [field],
+    getAttribute: (name) => (name === 'data-savior' ? formId : null),
+    querySelectorAll: () => []
+  });
+  const adapter = {
+    canHandle: (element) => element === field,
+    readValue: (element) => element.value,
+    writeValue: (element, value) => {
+      element.value = value;
+    }
+  };
+
+  globalThis.document = Object.assign(new EventTarget(), {
+    visibilityState: 'visible',
+    querySelectorAll: () => [form]
+  });
+  globalThis.window.location = { search: '' };
+
+  return { form, field, adapter };
+}
+
+/**
+ * Drafts server following the RemoteDriver HTTP contract. `replies` holds
+ * status codes to answer the next requests with instead of the real result.
+ * @returns {Promise<{url: string, drafts: Map, requests: Object[], replies: number[], close: Function}>}
+ */
+async function startMockServer() {
+  const drafts = new Map();
+  const requests = [];
+  const replies = [];
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      const formId = decodeURIComponent(request.url.split('/').pop());
+      requests.push({ method: request.method, formId, body: body ? JSON.parse(body) : undefined, atMs: Date.now() });
+
+      const status = replies.shift();
+      if (status !== undefined) {
+        response.writeHead(status).end();
+        return;
+      }
+
+      if (request.method === 'PUT') {
+        drafts.set(formId, JSON.parse(body));
+        response.writeHead(204).end();
+      } else if (request.method === 'DELETE') {
+        response.writeHead(drafts.delete(formId) ? 204 : 404).end();
+      } else if (drafts.has(formId)) {
+        response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(drafts.get(formId)));
+      } else {
+        response.writeHead(404).end();
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/drafts`,
+    drafts,
+    requests,
+    replies,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+/**
+ * @param {() => boolean} condition
+ * @param {number} [timeoutMs=2000]
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const startMs = Date.now();
+  while (!condition()) {
+    if (Date.now() - startMs > timeoutMs) throw new Error('Timed out waiting for condition.');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+function createDraft(formId, timestampUtc, message) {
+  return { formId, timestampUtc, schemaVersion: 1, fields: { message } };
+}
+
+let server;
+const drivers = [];
+
+function createDriver(options = {}) {
+  const driver = new RemoteDriver({ endpoint: server.url, retryDelayMs: 20, maxRetryDelayMs: 80, ...options });
+  drivers.push(driver);
+  return driver;
+}
+
+test.beforeEach(async () => {
+  globalThis.window = new EventTarget();
+  globalThis.window.localStorage = createStorage();
+  server = await startMockServer();
+});
+
+test.afterEach(async () => {
+  drivers.splice(0).forEach((driver) => driver.destroy());
+  await server.close();
+  delete globalThis.window;
+  delete globalThis.document;
+});
+
+test('save is queued, sent, then loaded from the server', async () => {
+  const driver = createDriver();
+  const draft = createDraft('contact', '2024-01-01T10:00:00.000Z', 'hello');
+
+  await driver.save('contact', draft);
+  assert.equal(JSON.parse(window.localStorage.getItem(QUEUE_KEY)).length, 1);
+
+  await driver.flush();
+  assert.equal(window.localStorage.getItem(QUEUE_KEY), null);
+  assert.deepEqual(server.drafts.get('contact'), draft);
+  assert.deepEqual(await driver.load('contact'), draft);
+});
+
+test('a queued write wins over the server copy and older writes are dropped', async () => {
+  const driver = createDriver();
+  server.drafts.set('contact', createDraft('contact', '2024-01-01T09:00:00.000Z', 'server'));
+  server.replies.push(503, 503, 503, 503, 503, 503);
+
+  const newer = createDraft('contact', '2024-01-01T10:00:00.000Z', 'newer');
+  await driver.save('contact', newer);
+  await driver.save('contact', createDraft('contact', '2024-01-01T09:30:00.000Z', 'older'));
+
+  assert.deepEqual(await driver.load('contact'), newer);
+  assert.equal(JSON.parse(window.localStorage.getItem(QUEUE_KEY)).length, 1);
+});
+
+test('server errors are retried with exponential backoff', async () => {
+  const driver = createDriver();
+  server.replies.push(503, 500, 429);
+
+  const draft = createDraft('contact', '2024-01-01T10:00:00.000Z', 'retried');
+  await driver.save('contact', draft);
+  await waitFor(() => window.localStorage.getItem(QUEUE_KEY) === null);
+  assert.deepEqual(server.drafts.get('contact'), draft);
+
+  const puts = server.requests.filter((request) => request.method === 'PUT');
+  assert.equal(puts.length, 4);
+
+  const gaps = puts.slice(1).map((request, index) => request.atMs - puts[index].atMs);
+  assert.ok(gaps[0] >= 15, `first retry after ${gaps[0]}ms`);
+  assert.ok(gaps[1] >= 35, `second retry after ${gaps[1]}ms`);
+  assert.ok(gaps[2] >= 75, `third retry after ${gaps[2]}ms`);
+});
+
+test('409 drops the write without retrying', async () => {
+  const driver = createDriver();
+  server.replies.push(409);
+
+  await driver.save('contact', createDraft('contact', '2024-01-01T10:00:00.000Z', 'stale'));
+  await driver.flush();
+  await new Promise((resolve) => setTimeout(resolve, 60));
+
+  assert.equal(server.requests.length, 1);
+  assert.equal(server.drafts.has('contact'), false);
+  assert.equal(window.localStorage.getItem(QUEUE_KEY), null);
+});
+
+test('writes made offline are sent by the next driver on the same queue', async () => {
+  const offline = createDriver({ fetch: () => Promise.reject(new TypeError('Failed to fetch')) });
+  const draft = createDraft('contact', '2024-01-01T10:00:00.000Z', 'offline');
+
+  await offline.save('contact', draft);
+  await offline.flush();
+  offline.destroy();
+  assert.equal(JSON.parse(window.localStorage.getItem(QUEUE_KEY)).length, 1);
+
+  createDriver();
+  await waitFor(() => server.drafts.has('contact'));
+  assert.deepEqual(server.drafts.get('contact'), draft);
+});
+
+test('clear sends DELETE and a missing draft counts as cleared', async () => {
+  const driver = createDriver();
+  server.drafts.set('contact', createDraft('contact', '2024-01-01T10:00:00.000Z', 'bye'));
+
+  await driver.clear('contact');
+  await driver.flush();
+  assert.equal(server.drafts.has('contact'), false);
+
+  await driver.clear('contact');
+  await driver.flush();
+  assert.equal(window.localStorage.getItem(QUEUE_KEY), null);
+  assert.equal(await driver.load('contact'), null);
+});
+
+test('destroy() stops listening for "online" and cancels retries', async () => {
+  const driver = createDriver();
+  server.replies.push(503);
+
+  await driver.save('contact', createDraft('contact', '2024-01-01T10:00:00.000Z', 'kept'));
+  await driver.flush();
+  driver.destroy();
+
+  window.dispatchEvent(new Event('online'));
+  await new Promise((resolve) => setTimeout(resolve, 60));
+
+  assert.equal(server.requests.length, 1);
+  assert.equal(JSON.parse(window.localStorage.getItem(QUEUE_KEY)).length, 1);
+});
+
+test('SaviorCore saves through an offline RemoteDriver without errors, history stays local', async () => {
+  let isOnline = false;
+  const driver = createDriver({
+    fetch: (...args) => (isOnline ? fetch(...args) : Promise.reject(new TypeError('Failed to fetch')))
+  });
+  const { form, field, adapter } = createFakePage('contact');
+  const events = [];
+
+  const core = Savior.init({
+    selector: 'form',
+    driver,
+    adapters: [adapter],
+    onSave: () => events.push('save'),
+    onError: ({ operation, error }) => events.push(`error:${operation}:${error.message}`)
+  });
+
+  field.value = 'typed offline';
+  await core.saveForm(form, 'contact');
+  await core.destroy({ flush: false });
+
+  // The initial load can't reach the server; the save itself must not fail.
+  assert.deepEqual(events.filter((event) => !event.startsWith('error:load')), ['save']);
+  assert.equal(JSON.parse(window.localStorage.getItem(QUEUE_KEY)).length, 1);
+  assert.equal((await driver.load('contact::history')).snapshots[0].fields.message, 'typed offline');
+
+  isOnline = true;
+  await driver.flush();
+  assert.equal(server.drafts.get('contact').fields.message, 'typed offline');
+  assert.deepEqual(server.requests.map((request) => request.formId), ['contact']);
+});